@@ -0,0 +1,245 @@
+// Generates a GitHub-style contribution calendar heatmap SVG card using
+// GitHub's GraphQL API. Covers the last 12 months, or a single calendar
+// year. Shares its data (and cache entries) with the streak card.
+//
+// Options (the "heatmap" card in profile-cards.config.json):
+//   year  calendar year to show instead of the last 12 months, from 2008
+//         to the current one
+//
+// Rendered by profile-cards.js; see its --help.
+
+const { delta } = require("./lib/changes");
+const { createLocale, mirror } = require("./lib/i18n");
+const { accessible } = require("./lib/svg");
+const { themeCss } = require("./lib/theme");
+const { dateInZone } = require("./lib/time");
+const { collectDays } = require("./generate-streak-stats");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Earliest year shown: GitHub's launch
+const FIRST_YEAR = 2008;
+
+function addDays(dateStr, n) {
+  return new Date(Date.parse(dateStr + "T00:00:00Z") + n * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// First and last date shown: a calendar year, or the 12 months up to today
+function calendarRange(today, year) {
+  if (year) {
+    const end = `${year}-12-31`;
+    return { start: `${year}-01-01`, end: end < today ? end : today };
+  }
+  return { start: addDays(today, -364), end: today };
+}
+
+// Quartile thresholds over the non-zero counts, as GitHub does
+function quartiles(counts) {
+  const sorted = counts.filter((c) => c > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return [0, 0, 0];
+  const at = (q) => sorted[Math.floor((sorted.length - 1) * q)];
+  return [at(0.25), at(0.5), at(0.75)];
+}
+
+function level(count, [q1, q2, q3]) {
+  if (count <= 0) return 0;
+  if (count <= q1) return 1;
+  if (count <= q2) return 2;
+  if (count <= q3) return 3;
+  return 4;
+}
+
+// Build week columns (Sunday first) covering `start`..`end`
+function buildWeeks(days, start, end) {
+  const counts = new Map(days.map((day) => [day.date, day.count]));
+  const weeks = [];
+  const first = addDays(start, -new Date(start + "T00:00:00Z").getUTCDay());
+  for (let date = first; date <= end; date = addDays(date, 1)) {
+    const weekday = new Date(date + "T00:00:00Z").getUTCDay();
+    if (weekday === 0) weeks.push([]);
+    if (date < start) continue;
+    weeks[weeks.length - 1].push({
+      date,
+      weekday,
+      count: counts.get(date) || 0,
+    });
+  }
+  return weeks;
+}
+
+// Right-to-left locales get the calendar mirrored, weeks running leftwards
+function generateSvg(days, theme, { start, end, year }, i18n = createLocale()) {
+  const CELL = 10;
+  const STEP = 13;
+  const LEFT = 40;
+  const TOP = 60;
+  const weeks = buildWeeks(days, start, end);
+  const WIDTH = LEFT + weeks.length * STEP + 20;
+  const HEIGHT = TOP + 7 * STEP + 40;
+  const FONT = `font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif"`;
+  const OPACITY = [0.15, 0.4, 0.6, 0.8, 1];
+  const x = mirror(WIDTH, i18n.rtl);
+
+  const cells = weeks.flat();
+  const thresholds = quartiles(cells.map((cell) => cell.count));
+  const total = cells.reduce((sum, cell) => sum + cell.count, 0);
+  const title = year
+    ? i18n.t("heatmapTitleYear", { n: total, year })
+    : i18n.t("heatmapTitleLastYear", { n: total });
+
+  const cellRect = (left, y, lvl) =>
+    `<rect x="${x(left, CELL)}" y="${y}" width="${CELL}" height="${CELL}" rx="2" class="${lvl ? "fill-accent" : "fill-muted"}" fill-opacity="${OPACITY[lvl]}"`;
+
+  const columns = weeks
+    .map((week, i) => {
+      const left = LEFT + i * STEP;
+      return week
+        .map((cell) => {
+          const y = TOP + cell.weekday * STEP;
+          const label = i18n.t("contributionsOn", {
+            n: cell.count,
+            date: i18n.date(cell.date),
+          });
+          return `${cellRect(left, y, level(cell.count, thresholds))}><title>${label}</title></rect>`;
+        })
+        .join("\n    ");
+    })
+    .join("\n    ");
+
+  // Month labels above the first column that starts in a new month
+  const monthLabels = [];
+  let lastMonth = null;
+  weeks.forEach((week, i) => {
+    const month = Number(week[0].date.slice(5, 7)) - 1;
+    if (month !== lastMonth) {
+      // Skip a label squeezed in before the next month's
+      if (lastMonth !== null || week.length === 7 || weeks.length === 1) {
+        monthLabels.push(
+          `<text x="${x(LEFT + i * STEP)}" y="${TOP - 8}" class="fill-muted" font-size="10" ${FONT}>${i18n.month(month)}</text>`
+        );
+      }
+      lastMonth = month;
+    }
+  });
+
+  const weekdayLabels = [1, 3, 5]
+    .map(
+      (weekday) =>
+        `<text x="${x(LEFT - 8)}" y="${TOP + weekday * STEP + 9}" text-anchor="end" class="fill-muted" font-size="10" ${FONT}>${i18n.weekday(weekday)}</text>`
+    )
+    .join("\n  ");
+
+  const legendX = WIDTH - 20 - 5 * STEP;
+  const legendY = TOP + 7 * STEP + 14;
+  const legend = [0, 1, 2, 3, 4]
+    .map((lvl) => `${cellRect(legendX + lvl * STEP, legendY, lvl)}/>`)
+    .join("\n  ");
+  const a11y = accessible(
+    "heatmap",
+    title,
+    i18n.t("dateRange", { start: i18n.date(start), end: i18n.date(end) })
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" direction="${i18n.dir}" ${a11y.attrs}>
+  ${a11y.elements}
+  <style>
+    ${themeCss(theme)}
+  </style>
+  <rect x="0.5" y="0.5" width="${WIDTH - 1}" height="${HEIGHT - 1}" rx="6" class="fill-background stroke-border" stroke-width="1"/>
+  <text x="${x(20)}" y="28" class="fill-title" font-size="14" font-weight="600" ${FONT}>${title}</text>
+  ${monthLabels.join("\n  ")}
+  ${weekdayLabels}
+  <g>
+    ${columns}
+  </g>
+  <text x="${x(legendX - 6)}" y="${legendY + 9}" text-anchor="end" class="fill-muted" font-size="10" ${FONT}>${i18n.t("less")}</text>
+  ${legend}
+  <text x="${x(legendX + 5 * STEP)}" y="${legendY + 9}" class="fill-muted" font-size="10" ${FONT}>${i18n.t("more")}</text>
+</svg>`;
+}
+
+// The dates shown for `year` (null for the last 12 months) in a dataset
+function shownRange(data, year) {
+  const today = dateInZone(new Date(data.fetchedAt), data.timeZone || "UTC");
+  const range = calendarRange(today, year);
+  if (range.start > range.end) {
+    throw new Error(`heatmap year ${year} is in the future`);
+  }
+  return range;
+}
+
+// Render the card from a streak dataset
+function render(data, { year, locale }, theme) {
+  return generateSvg(
+    collectDays(data),
+    theme,
+    { ...shownRange(data, year), year },
+    createLocale(locale)
+  );
+}
+
+// Machine-readable summary of the calendar shown
+function summary(data, { year }) {
+  const { start, end } = shownRange(data, year);
+  const total = buildWeeks(collectDays(data), start, end)
+    .flat()
+    .reduce((sum, cell) => sum + cell.count, 0);
+  return { year: year || null, start, end, total };
+}
+
+// What changed between two summaries, for the commit message
+function changes(before, after) {
+  return [
+    delta(
+      after.year
+        ? `contributions in ${after.year}`
+        : "contributions in the last year",
+      before.total,
+      after.total
+    ),
+  ].filter(Boolean);
+}
+
+const card = {
+  name: "heatmap",
+  description: "contribution calendar heatmap",
+  dataset: "streak",
+  defaults: {
+    output: "profile/heatmap.svg",
+    theme: "github-dark",
+    year: null,
+  },
+  schema: {
+    year: "integer",
+  },
+  // Only the shown year, or the two years the last 12 months span
+  years: ({ year }, currentYear) => ({
+    fromYear: year || currentYear - 1,
+    toYear: year || currentYear,
+  }),
+  // Reject years without contributions before anything is fetched
+  validate: ({ year }, { timeZone }) => {
+    if (year === null) return;
+    const currentYear = Number(dateInZone(new Date(), timeZone).slice(0, 4));
+    if (year < FIRST_YEAR || year > currentYear) {
+      throw new Error(`heatmap: year must be ${FIRST_YEAR} to ${currentYear}`);
+    }
+  },
+  render,
+  summary,
+  changes,
+};
+
+module.exports = {
+  calendarRange,
+  quartiles,
+  buildWeeks,
+  generateSvg,
+  card,
+};
+
+// Run directly, the card builds as with `profile-cards.js heatmap`
+if (require.main === module) {
+  require("./profile-cards").run([card.name, ...process.argv.slice(2)]);
+}
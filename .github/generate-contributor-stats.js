@@ -1,279 +1,897 @@
 // Generates a "Top Contributed Repos" SVG card using GitHub's GraphQL API.
-// Mimics the style of github-contributor-stats.vercel.app with a dark theme.
+// Mimics the style of github-contributor-stats.vercel.app in any of the
+// themes of lib/theme.js.
 //
-// Usage: GITHUB_TOKEN=<token> node generate-contributor-stats.js <username> [limit] [output-path]
+// Options (the "contributors" card in profile-cards.config.json):
+//   limit               number of repositories shown (default 5)
+//   weights             { commits, prs, issues, reviews } weights (default 1)
+//   breakdown           list each contribution kind per row
+//   include, exclude    globs: "owner/repo" patterns ("*/dotfiles") match the
+//                       full name, bare patterns ("thewtex") match the owner;
+//                       private repositories are fetched without their names
+//                       and match neither
+//   excludeForks, excludeArchived, excludeProfileRepo, minStars
+//   showPrivate         list private repositories anonymised, not dropped
+//   maxWidth            widen the card up to this many pixels to fit long
+//                       names (default 450, the card's width: never widen)
+//   sort                "contributions" (default), "recent" (contributions
+//                       in the last `recentMonths` months, which the card
+//                       then shows), "stars" or "share" (of the repository's
+//                       commits)
+//   recentMonths        1 to 24 (default 12)
+//   rankBy              badge tiers by "stars" (default) or "share", in
+//                       percent of the repository's commits
+//   ranks               the tiers, lowest first: [{ label, color, min }],
+//                       `min` being stars or a percentage (default: B to S+)
+//   activity            bars on each row showing when the repository was
+//                       contributed to: "none" (default), "year" (per year)
+//                       or "month" (per month over the last year)
+//
+// Contributions are the weighted sum of commits, pull requests, issues and
+// pull request reviews. With several users (e.g. personal and work
+// accounts) their per-repo counts are combined.
+//
+// Rendered by profile-cards.js; see its --help.
 
-const https = require("https");
-const fs = require("fs");
+const { parseLogins } = require("./lib/args");
+const { delta } = require("./lib/changes");
+const {
+  BY_REPOSITORY,
+  MAX_REPOSITORIES,
+  isTruncated,
+  fetchMonths,
+  fetchYears,
+  mergeDatasets,
+  privateName,
+} = require("./lib/dataset");
+const { createLocale, mirror } = require("./lib/i18n");
+const { accessible, animationCss, escapeXml } = require("./lib/svg");
+const { measureText, truncateText } = require("./lib/text");
+const { themeCss } = require("./lib/theme");
+const { lastMonths } = require("./lib/time");
 
-const USERNAME = process.argv[2] || process.env.GITHUB_REPOSITORY_OWNER || "thewtex";
-const LIMIT = parseInt(process.argv[3] || "5", 10);
-const OUTPUT = process.argv[4] || "profile/contributor-stats.svg";
-const TOKEN = process.env.GITHUB_TOKEN;
+// The contribution kinds, BY_REPOSITORY's keys, name the counts in
+// datasets, weights and the per-row breakdown's messages.
 
-if (!TOKEN) {
-  console.error("Error: GITHUB_TOKEN environment variable is required");
-  process.exit(1);
-}
+// Months of monthly contributions an option may need; older ones are
+// dropped from the cache
+const RECENT_MONTHS = 24;
+// Months charted by the monthly activity bars
+const ACTIVITY_MONTHS = 12;
+const ACTIVITY_PERIODS = ["none", "year", "month"];
 
-// Query contributions for a single year window
-function queryContributions(login, from, to) {
-  const query = `query {
-    user(login: "${login}") {
-      contributionsCollection(from: "${from}", to: "${to}") {
-        commitContributionsByRepository(maxRepositories: 100) {
-          repository {
-            nameWithOwner
-            url
-            stargazerCount
-            isPrivate
-          }
-          contributions {
-            totalCount
+// contributionsCollection fields for one window's per-repository lists
+const CONTRIBUTION_FIELDS = Object.values(BY_REPOSITORY)
+  .map(
+    (field) => `${field}(maxRepositories: ${MAX_REPOSITORIES}) {
+        repository {
+          nameWithOwner
+          url
+          stargazerCount
+          isPrivate
+          isFork
+          isArchived
+          id
+        }
+        contributions {
+          totalCount
+        }
+      }`
+  )
+  .join("\n        ");
+
+// Per-repository fields fetched once per repository rather than with every
+// window: languages and the default branch's commit count
+const REPOSITORY_FIELDS = `... on Repository {
+        languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+          edges {
+            size
+            node {
+              name
+              color
+            }
           }
         }
-      }
-    }
-  }`;
-
-  return new Promise((resolve, reject) => {
-    const body = JSON.stringify({ query });
-    const req = https.request(
-      {
-        hostname: "api.github.com",
-        path: "/graphql",
-        method: "POST",
-        headers: {
-          Authorization: `bearer ${TOKEN}`,
-          "Content-Type": "application/json",
-          "User-Agent": "github-contributor-stats-generator",
-          "Content-Length": Buffer.byteLength(body),
-        },
-      },
-      (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            const parsed = JSON.parse(data);
-            if (parsed.errors) {
-              reject(new Error(JSON.stringify(parsed.errors)));
-            } else {
-              resolve(parsed);
+        defaultBranchRef {
+          target {
+            ... on Commit {
+              history {
+                totalCount
+              }
             }
-          } catch (e) {
-            reject(e);
           }
-        });
+        }
+      }`;
+// Repositories per request for REPOSITORY_FIELDS
+const REPOSITORY_BATCH = 50;
+
+// Per-repository contribution counts of a window's contributionsCollection
+// as a list of { repository, commits, prs, issues, reviews }
+function parseContributions(collection) {
+  const entries = [];
+  for (const [kind, field] of Object.entries(BY_REPOSITORY)) {
+    for (const entry of collection[field] || []) {
+      entries.push({
+        repository: anonymiseRepository(entry.repository),
+        [kind]: entry.contributions.totalCount,
+      });
+    }
+  }
+  return mergeContributions([entries]);
+}
+
+// Private repositories are stored without their name or URL
+function anonymiseRepository(repository) {
+  return repository.isPrivate
+    ? {
+        ...repository,
+        nameWithOwner: privateName(repository),
+        url: null,
       }
-    );
-    req.on("error", reject);
-    req.write(body);
-    req.end();
-  });
+    : repository;
 }
 
-// Get the user's account creation year
-function queryUserCreatedAt(login) {
-  const query = `query { user(login: "${login}") { createdAt } }`;
-  return new Promise((resolve, reject) => {
-    const body = JSON.stringify({ query });
-    const req = https.request(
-      {
-        hostname: "api.github.com",
-        path: "/graphql",
-        method: "POST",
-        headers: {
-          Authorization: `bearer ${TOKEN}`,
-          "Content-Type": "application/json",
-          "User-Agent": "github-contributor-stats-generator",
-          "Content-Length": Buffer.byteLength(body),
-        },
-      },
-      (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            const parsed = JSON.parse(data);
-            if (parsed.errors) {
-              reject(new Error(JSON.stringify(parsed.errors)));
-              return;
-            }
-            const createdAt = parsed.data && parsed.data.user && parsed.data.user.createdAt;
-            if (!createdAt) {
-              reject(new Error("GitHub GraphQL: user.createdAt not found in response"));
-              return;
-            }
-            resolve(createdAt);
-          } catch (e) {
-            reject(e);
-          }
-        });
+// Languages and commit counts of the repositories with node `ids`, as
+// { <id>: { languages: [{ name, color, size }], totalCommits } }. Each
+// repository is cached on its own.
+async function fetchRepositories(graphql, cache, ids) {
+  const pending = [];
+  const results = ids.map((id) =>
+    cache
+      .cached(
+        `repository/${id}`,
+        { final: true },
+        () =>
+          new Promise((resolve, reject) =>
+            pending.push({ id, resolve, reject })
+          )
+      )
+      .then(
+        (value) => [id, value],
+        (err) => {
+          console.warn(
+            `  Warning: failed to fetch repository ${id}: ${err.message}`
+          );
+          return [id, null];
+        }
+      )
+  );
+  if (pending.length) {
+    console.log(`  Fetching languages of ${pending.length} repositories`);
+  }
+  for (let i = 0; i < pending.length; i += REPOSITORY_BATCH) {
+    const batch = pending.slice(i, i + REPOSITORY_BATCH);
+    try {
+      const result = await graphql(
+        `query($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ${REPOSITORY_FIELDS}
+    }
+  }`,
+        { ids: batch.map(({ id }) => id) }
+      );
+      result.data.nodes.forEach((node, j) =>
+        batch[j].resolve({
+          languages: (node?.languages?.edges || []).map((edge) => ({
+            ...edge.node,
+            size: edge.size,
+          })),
+          totalCommits:
+            node?.defaultBranchRef?.target?.history?.totalCount ?? null,
+        })
+      );
+    } catch (err) {
+      for (const { reject } of batch) reject(err);
+    }
+  }
+
+  const repositories = {};
+  for (const [id, value] of await Promise.all(results)) {
+    if (value) repositories[id] = value;
+  }
+  cache.save();
+  return repositories;
+}
+
+// Merge lists of per-repository entries, summing each contribution kind.
+// Lists are expected oldest first; the newest repository metadata wins.
+function mergeContributions(lists) {
+  const merged = new Map();
+  for (const list of lists) {
+    for (const entry of list) {
+      const key = entry.repository.nameWithOwner;
+      const existing = merged.get(key) || { repository: entry.repository };
+      existing.repository = entry.repository;
+      for (const kind of Object.keys(BY_REPOSITORY)) {
+        existing[kind] = (existing[kind] || 0) + (entry[kind] || 0);
       }
+      merged.set(key, existing);
+    }
+  }
+  return [...merged.values()];
+}
+
+// Star tiers, lowest first; the achievements card awards the same tiers
+const RANKS = [
+  { label: "B", color: "#6cb6ff", stars: 0 },
+  { label: "B+", color: "#6cb6ff", stars: 50 },
+  { label: "A", color: "#69c46d", stars: 100 },
+  { label: "A+", color: "#69c46d", stars: 500 },
+  { label: "S", color: "#e4b669", stars: 1000 },
+  { label: "S+", color: "#e4b669", stars: 10000 },
+];
+
+// The same tiers by share, in percent of the repository's commits
+const SHARE_THRESHOLDS = [0, 1, 5, 10, 25, 50];
+
+const RANK_BY = ["stars", "share"];
+const SORTS = ["contributions", "recent", "stars", "share"];
+
+// The badge tiers of `options`: its `ranks`, or the defaults of `rankBy`,
+// as [{ label, color, min }] lowest first
+function resolveRanks({ rankBy = "stars", ranks = null } = {}) {
+  if (!ranks) {
+    return RANKS.map((rank, i) => ({
+      label: rank.label,
+      color: rank.color,
+      min: rankBy === "share" ? SHARE_THRESHOLDS[i] : rank.stars,
+    }));
+  }
+  const valid =
+    ranks.length > 0 &&
+    ranks.every(
+      (rank, i) =>
+        Object.keys(rank).every((key) =>
+          ["label", "color", "min"].includes(key)
+        ) &&
+        typeof rank.label === "string" &&
+        rank.label !== "" &&
+        typeof rank.color === "string" &&
+        Number.isFinite(rank.min) &&
+        (i === 0 || rank.min > ranks[i - 1].min)
     );
-    req.on("error", reject);
-    req.write(body);
-    req.end();
-  });
+  if (!valid) {
+    throw new Error(
+      "contributors: ranks must be { label, color, min } tiers with increasing `min`"
+    );
+  }
+  return ranks;
 }
 
-function getRank(stars) {
-  if (stars >= 10000) return { label: "S+", color: "#e4b669" };
-  if (stars >= 1000) return { label: "S", color: "#e4b669" };
-  if (stars >= 500) return { label: "A+", color: "#69c46d" };
-  if (stars >= 100) return { label: "A", color: "#69c46d" };
-  if (stars >= 50) return { label: "B+", color: "#6cb6ff" };
-  return { label: "B", color: "#6cb6ff" };
+// The tier of a repository; values below every tier get the lowest
+function getRank(repo, ranks = resolveRanks(), rankBy = "stars") {
+  const value = rankBy === "share" ? (repo.share || 0) * 100 : repo.stars;
+  return ranks.filter((rank) => value >= rank.min).pop() || ranks[0];
 }
 
-function escapeXml(str) {
-  return str
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
+// Anonymised private repositories are labelled in the card's language
+function displayName(repo, i18n) {
+  return repo.isPrivate && !repo.url
+    ? i18n.t("privateRepo")
+    : repo.nameWithOwner;
 }
 
-function formatNumber(n) {
-  if (n >= 1000) return (n / 1000).toFixed(1).replace(/\.0$/, "") + "k";
-  return String(n);
+// Card width unless `maxWidth` lets it grow
+const MIN_WIDTH = 450;
+const NAME_FONT = { size: 14, weight: 600 };
+const DETAIL_FONT = { size: 12 };
+
+// Bars of a row's activity ([count] oldest first), each scaled to the
+// row's busiest period, in a box at (`left`, `top`); `x` maps positions for
+// right-to-left layouts
+function activityBars(activity, { left, top, width, height }, x) {
+  const max = Math.max(...activity, 1);
+  const step = width / activity.length;
+  const barWidth = Math.max(step * 0.75, 1);
+  const round = (n) => Math.round(n * 10) / 10;
+  const bars = activity
+    .map((count, i) => {
+      if (count === 0) return "";
+      const barHeight = Math.max((count / max) * height, 2);
+      return `<rect x="${round(x(left + i * step, barWidth))}" y="${round(top + height - barHeight)}" width="${round(barWidth)}" height="${round(barHeight)}" rx="1" class="fill-accent"/>`;
+    })
+    .join("");
+  const start = x(left, width);
+  return `<line x1="${start}" y1="${top + height + 0.5}" x2="${start + width}" y2="${top + height + 0.5}" class="stroke-divider" stroke-width="1"/>${bars}`;
 }
 
-function generateSvg(repos) {
+// With `breakdown`, rows list each contribution kind instead of the total.
+// Names and counts are measured: the contributions column starts past the
+// widest star count, the card widens up to `maxWidth` to fit the longest
+// line, and whatever still does not fit is cut short with an ellipsis.
+// Repositories with an `activity` list get its bars at the end of the row.
+function generateSvg(
+  repos,
+  theme,
+  {
+    breakdown = false,
+    maxWidth = MIN_WIDTH,
+    rankBy = "stars",
+    ranks = null,
+    animation = true,
+  } = {},
+  i18n = createLocale()
+) {
   const ROW_HEIGHT = 70;
   const PADDING_TOP = 35;
   const PADDING_BOTTOM = 20;
-  const WIDTH = 450;
+  const PADDING = 20;
+  const NAME_X = 72;
+  // Icon and the space after it
+  const ICON = 18;
+  const BADGE = { width: 40, padding: 4, font: { size: 12, weight: 700 } };
+  const ACTIVITY = { width: 84, height: 28, gap: 12 };
+  // Room the activity bars take from the end of each line
+  const END = repos.some((repo) => repo.activity)
+    ? PADDING + ACTIVITY.gap + ACTIVITY.width
+    : PADDING;
   const HEIGHT = PADDING_TOP + repos.length * ROW_HEIGHT + PADDING_BOTTOM;
 
+  const names = repos.map((repo) => displayName(repo, i18n));
+  const stars = repos.map((repo) => i18n.compact(repo.stars));
+  const counts = repos.map((repo) =>
+    breakdown && repo.counts
+      ? formatBreakdown(repo.counts, i18n)
+      : i18n.t("contributions", { n: repo.contributions, format: i18n.compact })
+  );
+  const widest = (texts, font) =>
+    Math.max(...texts.map((text) => measureText(text, font)));
+  const COUNTS_X = Math.max(
+    160,
+    Math.ceil(NAME_X + ICON + widest(stars, DETAIL_FONT) + 24)
+  );
+  const WIDTH = Math.ceil(
+    Math.min(
+      Math.max(maxWidth, MIN_WIDTH),
+      Math.max(
+        MIN_WIDTH,
+        NAME_X + widest(names, NAME_FONT) + END,
+        COUNTS_X + ICON + widest(counts, DETAIL_FONT) + END
+      )
+    )
+  );
+  // Right-to-left locales mirror each row; icons sit right of their text
+  const x = mirror(WIDTH, i18n.rtl);
+  const inner = mirror(0, i18n.rtl);
+  const tiers = resolveRanks({ rankBy, ranks });
+
   const rows = repos
     .map((repo, i) => {
       const y = PADDING_TOP + i * ROW_HEIGHT;
-      const rank = getRank(repo.stars);
-      const name = escapeXml(repo.nameWithOwner);
-      // Truncate long repo names
-      const displayName = name.length > 38 ? name.slice(0, 35) + "..." : name;
+      const rank = getRank(repo, tiers, rankBy);
+      const color = escapeXml(rank.color);
+      const label = escapeXml(
+        truncateText(rank.label, BADGE.width - 2 * BADGE.padding, BADGE.font)
+      );
+      const name = escapeXml(
+        truncateText(names[i], WIDTH - END - NAME_X, NAME_FONT)
+      );
+      const count = escapeXml(
+        truncateText(counts[i], WIDTH - END - COUNTS_X - ICON, DETAIL_FONT)
+      );
+      const activity = repo.activity
+        ? `<!-- Activity -->
+      <g>${activityBars(
+        repo.activity,
+        {
+          left: WIDTH - PADDING - ACTIVITY.width,
+          top: 12,
+          width: ACTIVITY.width,
+          height: ACTIVITY.height,
+        },
+        x
+      )}</g>
+      `
+        : "";
 
       return `
     <g transform="translate(0, ${y})">
       <!-- Rank badge -->
-      <g transform="translate(20, 8)">
-        <rect width="40" height="26" rx="13" fill="${rank.color}" opacity="0.15"/>
-        <text x="20" y="17" text-anchor="middle" fill="${rank.color}" font-size="12" font-weight="700" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${rank.label}</text>
+      <g transform="translate(${x(20, 40)}, 8)">
+        <rect width="40" height="26" rx="13" fill="${color}" opacity="0.15"/>
+        <text x="20" y="17" text-anchor="middle" fill="${color}" font-size="12" font-weight="700" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${label}</text>
       </g>
       <!-- Repo name -->
-      <text x="72" y="22" fill="#c9d1d9" font-size="14" font-weight="600" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${displayName}</text>
+      <text x="${x(72)}" y="22" class="fill-text" font-size="14" font-weight="600" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${name}</text>
       <!-- Stars -->
-      <g transform="translate(72, 36)">
-        <svg width="14" height="14" viewBox="0 0 16 16" fill="#8b949e">
+      <g transform="translate(${x(72)}, 36)">
+        <svg x="${inner(0, 14)}" width="14" height="14" viewBox="0 0 16 16" class="fill-muted">
           <path d="M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25z"/>
         </svg>
-        <text x="18" y="11" fill="#8b949e" font-size="12" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${formatNumber(repo.stars)}</text>
+        <text x="${inner(18)}" y="11" class="fill-muted" font-size="12" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${stars[i]}</text>
       </g>
       <!-- Contributions -->
-      <g transform="translate(160, 36)">
-        <svg width="14" height="14" viewBox="0 0 16 16" fill="#8b949e">
+      <g transform="translate(${x(COUNTS_X)}, 36)">
+        <svg x="${inner(0, 14)}" width="14" height="14" viewBox="0 0 16 16" class="fill-muted">
           <path d="M1.643 3.143L.427 1.927A.25.25 0 000 2.104V5.75c0 .138.112.25.25.25h3.646a.25.25 0 00.177-.427L2.715 4.215a6.5 6.5 0 11-1.18 4.458.75.75 0 10-1.493.154 8.001 8.001 0 101.6-5.684zM7.75 4a.75.75 0 01.75.75v2.992l2.028.812a.75.75 0 01-.557 1.392l-2.5-1A.75.75 0 017 8.25v-3.5A.75.75 0 017.75 4z"/>
         </svg>
-        <text x="18" y="11" fill="#8b949e" font-size="12" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${formatNumber(repo.contributions)} contributions</text>
+        <text x="${inner(18)}" y="11" class="fill-muted" font-size="12" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${count}</text>
       </g>
-      <!-- Divider -->
-      ${i < repos.length - 1 ? `<line x1="20" y1="62" x2="${WIDTH - 20}" y2="62" stroke="#21262d" stroke-width="1"/>` : ""}
+      ${activity}<!-- Divider -->
+      ${i < repos.length - 1 ? `<line x1="20" y1="62" x2="${WIDTH - 20}" y2="62" class="stroke-divider" stroke-width="1"/>` : ""}
     </g>`;
     })
     .join("\n");
+  const a11y = accessible(
+    "contributors",
+    i18n.t("topReposTitle"),
+    repos
+      .map(
+        (repo) =>
+          `${displayName(repo, i18n)}: ${i18n.t("stars", { n: repo.stars, format: i18n.compact })}, ${i18n.t("contributions", { n: repo.contributions, format: i18n.compact })}`
+      )
+      .join(". ")
+  );
 
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" direction="${i18n.dir}" ${a11y.attrs}>
+  ${a11y.elements}
   <style>
-    @keyframes fadeIn {
+    ${animationCss(
+      `@keyframes fadeIn {
       from { opacity: 0; transform: translateY(5px); }
       to { opacity: 1; transform: translateY(0); }
     }
-    .card { animation: fadeIn 0.8s ease-in-out; }
+    .card { animation: fadeIn 0.8s ease-in-out both; }`,
+      animation
+    )}
+    ${themeCss(theme)}
   </style>
-  <rect width="${WIDTH}" height="${HEIGHT}" rx="6" fill="#0d1117" stroke="#30363d" stroke-width="1"/>
-  <text x="${WIDTH / 2}" y="24" text-anchor="middle" fill="#c9d1d9" font-size="14" font-weight="600" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">Top Contributed Repositories</text>
+  <rect width="${WIDTH}" height="${HEIGHT}" rx="6" class="fill-background stroke-border" stroke-width="1"/>
+  <text x="${WIDTH / 2}" y="24" text-anchor="middle" class="fill-title" font-size="14" font-weight="600" font-family="-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif">${i18n.t("topReposTitle")}</text>
   <g class="card">
     ${rows}
   </g>
 </svg>`;
 }
 
-async function main() {
-  console.log(`Fetching contribution data for ${USERNAME}...`);
+// Fetch the raw per-year repository contributions for `login` as a dataset,
+// with years delimited in `timeZone`, and the languages and commit counts of
+// the repositories (`repositories`, by node id). With `months`, the
+// dataset's `months` holds the last months' contributions
+// ({ "<YYYY-MM>": <raw> }), for options that need them.
+async function fetchData(
+  graphql,
+  login,
+  cache,
+  timeZone = "UTC",
+  { months = 0 } = {}
+) {
+  const windows = {
+    card: "contributors",
+    timeZone,
+    fields: CONTRIBUTION_FIELDS,
+    parseWindow: parseContributions,
+    truncated: isTruncated,
+    combine: mergeContributions,
+    // Each window lists up to 400 repositories
+    batchSize: 3,
+  };
+  const data = await fetchYears(graphql, login, cache, windows);
+  if (months > 0) {
+    data.months = await fetchMonths(graphql, login, cache, {
+      ...windows,
+      months,
+    });
+  }
+  const kept = lastMonths(new Date(), RECENT_MONTHS, timeZone);
+  cache.prune(
+    `contributors/${login}/${timeZone}/`,
+    (key) => !/\/\d{4}-\d{2}$/.test(key) || kept.includes(key.slice(-7))
+  );
 
-  // Get user creation date to determine year range
-  const createdAt = await queryUserCreatedAt(USERNAME);
-  const startYear = new Date(createdAt).getFullYear();
-  const currentYear = new Date().getFullYear();
+  const ids = new Set();
+  for (const entries of [
+    ...Object.values(data.years),
+    ...Object.values(data.months || {}),
+  ]) {
+    for (const entry of entries) ids.add(entry.repository.id);
+  }
+  data.repositories = await fetchRepositories(graphql, cache, [...ids]);
+  return data;
+}
 
-  // Aggregate contributions across all years
-  const repoMap = new Map(); // nameWithOwner -> { contributions, stars, url }
+// Merge datasets of several accounts, summing contributions per repository
+function mergeAccounts(datasets) {
+  const merged = mergeDatasets(datasets, mergeContributions);
+  if (datasets.length === 1) return merged;
+  const months = {};
+  for (const data of datasets) {
+    for (const [month, entries] of Object.entries(data.months || {})) {
+      months[month] = mergeContributions([months[month] || [], entries]);
+    }
+  }
+  return {
+    ...merged,
+    ...(datasets.some((data) => data.months) ? { months } : {}),
+    repositories: Object.assign(
+      {},
+      ...datasets.map((data) => data.repositories)
+    ),
+  };
+}
 
-  for (let year = startYear; year <= currentYear; year++) {
-    const from = `${year}-01-01T00:00:00Z`;
-    const to = `${Math.min(year + 1, currentYear + 1)}-01-01T00:00:00Z`;
+// Months of monthly contributions `options` need
+function neededMonths({ sort, recentMonths: months, activity }) {
+  return Math.max(
+    sort === "recent" ? months : 0,
+    activity === "month" ? ACTIVITY_MONTHS : 0
+  );
+}
 
-    console.log(`  Querying ${year}...`);
-    try {
-      const result = await queryContributions(USERNAME, from, to);
-      const repos =
-        result.data.user.contributionsCollection
-          .commitContributionsByRepository || [];
-
-      for (const entry of repos) {
-        if (entry.repository.isPrivate) continue;
-        const key = entry.repository.nameWithOwner;
-        const existing = repoMap.get(key);
-        if (existing) {
-          existing.contributions += entry.contributions.totalCount;
-        } else {
-          repoMap.set(key, {
-            nameWithOwner: key,
-            url: entry.repository.url,
-            stars: entry.repository.stargazerCount,
-            contributions: entry.contributions.totalCount,
-          });
-        }
+// Fill in the weight of each contribution kind; unlisted kinds weigh 1
+function resolveWeights(weights = {}) {
+  const resolved = {};
+  for (const kind of Object.keys(BY_REPOSITORY)) resolved[kind] = 1;
+  for (const [kind, weight] of Object.entries(weights)) {
+    if (!(kind in resolved) || typeof weight !== "number") {
+      throw new Error(
+        `Invalid weight "${kind}" (expected a number for one of ${Object.keys(resolved).join(", ")})`
+      );
+    }
+    resolved[kind] = weight;
+  }
+  return resolved;
+}
+
+// Per-kind counts of a merged entry and their weighted sum
+function weighContributions(entry, weights) {
+  const counts = {};
+  let contributions = 0;
+  for (const kind of Object.keys(BY_REPOSITORY)) {
+    counts[kind] = entry[kind];
+    contributions += entry[kind] * weights[kind];
+  }
+  return { contributions: Math.round(contributions), counts };
+}
+
+// Aggregate a dataset's years into one entry per repository. `contributions`
+// is the weighted sum of the per-kind counts; `share` the fraction of the
+// default branch's commits that are the user's, or null when unknown.
+function aggregateRepos(data, weights = resolveWeights()) {
+  const years = Object.keys(data.years).sort();
+  const repositories = data.repositories || {};
+  return mergeContributions(years.map((year) => data.years[year]))
+    .map((entry) => {
+      const { contributions, counts } = weighContributions(entry, weights);
+      const { languages = [], totalCommits = null } =
+        repositories[entry.repository.id] || {};
+      return {
+        nameWithOwner: entry.repository.nameWithOwner,
+        url: entry.repository.url,
+        stars: entry.repository.stargazerCount,
+        isPrivate: Boolean(entry.repository.isPrivate),
+        isFork: Boolean(entry.repository.isFork),
+        isArchived: Boolean(entry.repository.isArchived),
+        languages,
+        contributions,
+        counts,
+        share: totalCommits ? Math.min(counts.commits / totalCommits, 1) : null,
+      };
+    })
+    .filter((repo) => repo.contributions > 0);
+}
+
+// Contributions per repository in the last `months` months of the dataset,
+// the current one included: Map of nameWithOwner to { contributions, counts }
+function recentContributions(data, months, weights = resolveWeights()) {
+  const recent = new Map();
+  for (const entry of mergeContributions(
+    recentMonths(data, months).map((month) => data.months[month] || [])
+  )) {
+    const weighed = weighContributions(entry, weights);
+    if (weighed.contributions > 0) {
+      recent.set(entry.repository.nameWithOwner, weighed);
+    }
+  }
+  return recent;
+}
+
+// The dataset's last `count` months ("YYYY-MM"), oldest first
+function recentMonths(data, count) {
+  if (!data.months) {
+    throw new Error(
+      "contributors: the dataset has no monthly contributions; fetch it again to sort or chart by month"
+    );
+  }
+  return lastMonths(new Date(data.fetchedAt), count, data.timeZone || "UTC");
+}
+
+// Case-insensitive glob match supporting * and ?
+function matchesGlob(pattern, value) {
+  const source = pattern
+    .split("")
+    .map((ch) => {
+      if (ch === "*") return "[^/]*";
+      if (ch === "?") return "[^/]";
+      return ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i").test(value);
+}
+
+// Patterns containing "/" match "owner/repo"; others match the owner only
+function matchesAny(patterns, nameWithOwner) {
+  const owner = nameWithOwner.split("/")[0];
+  return patterns.some((pattern) =>
+    matchesGlob(pattern, pattern.includes("/") ? nameWithOwner : owner)
+  );
+}
+
+// Apply repository filters. Private repositories are dropped unless
+// `showPrivate` is set, in which case they are shown anonymised.
+function filterRepos(repos, logins, filters = {}) {
+  const {
+    include = [],
+    exclude = [],
+    excludeForks = false,
+    excludeArchived = false,
+    excludeProfileRepo = false,
+    minStars = 0,
+    showPrivate = false,
+  } = filters;
+  const profileRepos = logins.map((login) => `${login}/${login}`.toLowerCase());
+
+  return repos
+    .filter(
+      (repo) =>
+        (include.length === 0 || matchesAny(include, repo.nameWithOwner)) &&
+        !matchesAny(exclude, repo.nameWithOwner) &&
+        !(excludeForks && repo.isFork) &&
+        !(excludeArchived && repo.isArchived) &&
+        !(excludeProfileRepo &&
+          profileRepos.includes(repo.nameWithOwner.toLowerCase())) &&
+        repo.stars >= minStars &&
+        (showPrivate || !repo.isPrivate)
+    )
+    .map((repo) =>
+      repo.isPrivate
+        ? { ...repo, nameWithOwner: "private repo", url: null }
+        : repo
+    );
+}
+
+// "120 commits · 40 PRs · 310 reviews", skipping kinds with no contributions
+function formatBreakdown(counts, i18n = createLocale()) {
+  return Object.keys(BY_REPOSITORY)
+    .filter((kind) => counts[kind] > 0)
+    .map((kind) => i18n.t(kind, { n: counts[kind], format: i18n.compact }))
+    .join(" · ");
+}
+
+// Contributions per repository in each year of the dataset, or each month
+// over the last ACTIVITY_MONTHS months: Map of nameWithOwner to counts,
+// oldest first
+function repoActivity(data, period, weights = resolveWeights()) {
+  let periods;
+  if (period === "month") {
+    periods = recentMonths(data, ACTIVITY_MONTHS).map(
+      (month) => data.months[month] || []
+    );
+  } else {
+    const years = Object.keys(data.years).map(Number);
+    periods = [];
+    for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+      periods.push(data.years[year] || []);
+    }
+  }
+  const activity = new Map();
+  periods.forEach((entries, i) => {
+    for (const entry of mergeContributions([entries])) {
+      const name = entry.repository.nameWithOwner;
+      if (!activity.has(name)) {
+        activity.set(name, periods.map(() => 0));
       }
-    } catch (err) {
-      console.warn(`  Warning: failed to fetch ${year}: ${err.message}`);
+      activity.get(name)[i] = weighContributions(entry, weights).contributions;
     }
+  });
+  return activity;
+}
+
+// Sort keys of each `sort`; ties go to the most contributions
+const SORT_KEYS = {
+  contributions: (repo) => repo.contributions,
+  recent: (repo) => repo.contributions,
+  stars: (repo) => repo.stars,
+  share: (repo) => repo.share || 0,
+};
+
+// The repositories shown: filtered, sorted and limited. Sorted by recent
+// activity, only repositories contributed to lately are listed, with their
+// recent contributions.
+function topRepos(data, options) {
+  const {
+    sort = "contributions",
+    recentMonths: months = 12,
+    activity = "none",
+  } = options;
+  const weights = resolveWeights(options.weights);
+  let repos = aggregateRepos(data, weights);
+  if (activity !== "none") {
+    const byRepo = repoActivity(data, activity, weights);
+    repos = repos.map((repo) => ({
+      ...repo,
+      activity: byRepo.get(repo.nameWithOwner) || [],
+    }));
   }
+  if (sort === "recent") {
+    const recent = recentContributions(data, months, weights);
+    repos = repos
+      .filter((repo) => recent.has(repo.nameWithOwner))
+      .map((repo) => ({ ...repo, ...recent.get(repo.nameWithOwner) }));
+  }
+  const key = SORT_KEYS[sort];
+  return filterRepos(repos, parseLogins(data.login), options)
+    .sort((a, b) => key(b) - key(a) || b.contributions - a.contributions)
+    .slice(0, options.limit);
+}
 
-  // Sort by contributions descending, take top N
-  const sorted = [...repoMap.values()]
-    .sort((a, b) => b.contributions - a.contributions)
-    .slice(0, LIMIT);
+// Render the card from a contributors dataset
+function render(data, options, theme) {
+  const i18n = createLocale(options.locale);
+  const sorted = topRepos(data, options);
 
   if (sorted.length === 0) {
     console.warn("No contributions found. Generating placeholder SVG.");
     sorted.push({
-      nameWithOwner: "No contributions found",
+      nameWithOwner: i18n.t("noContributions"),
       stars: 0,
       contributions: 0,
     });
   }
 
-  console.log(`Top ${sorted.length} repos by contributions:`);
+  console.log(`Top ${sorted.length} repos by ${options.sort}:`);
   for (const r of sorted) {
     console.log(
       `  ${r.nameWithOwner}: ${r.contributions} contributions, ${r.stars} stars`
     );
   }
 
-  const svg = generateSvg(sorted);
+  return generateSvg(sorted, theme, options, i18n);
+}
 
-  // Ensure output directory exists
-  const dir = OUTPUT.split("/").slice(0, -1).join("/");
-  if (dir) fs.mkdirSync(dir, { recursive: true });
+// Text summary for the README: a table of the repositories shown, linked
+// to GitHub (private repositories are not linked)
+function markdown(data, options) {
+  const i18n = createLocale(options.locale);
+  const repos = topRepos(data, options);
+  if (repos.length === 0) return `_${i18n.t("noContributions")}_`;
+  const rows = repos.map((repo) => {
+    const name = repo.url
+      ? `[${repo.nameWithOwner}](${repo.url})`
+      : displayName(repo, i18n);
+    const contributions = options.breakdown
+      ? formatBreakdown(repo.counts, i18n)
+      : i18n.compact(repo.contributions);
+    return `| ${name} | ${i18n.compact(repo.stars)} | ${contributions} |`;
+  });
+  return [
+    `| ${i18n.t("repositoryHeader")} | ${i18n.t("starsHeader")} | ${i18n.t("contributionsHeader")} |`,
+    "| :--- | ---: | ---: |",
+    ...rows,
+  ].join("\n");
+}
 
-  fs.writeFileSync(OUTPUT, svg);
-  console.log(`SVG written to ${OUTPUT}`);
+// Machine-readable summary of the repositories shown
+function summary(data, options) {
+  return {
+    repos: topRepos(data, options).map((repo) => ({
+      nameWithOwner: repo.nameWithOwner,
+      url: repo.url,
+      stars: repo.stars,
+      contributions: repo.contributions,
+      counts: repo.counts,
+    })),
+  };
 }
 
-main().catch((err) => {
-  console.error("Fatal error:", err);
-  process.exit(1);
-});
+// What changed between two summaries, for the commit message. Anonymised
+// private repositories are left out.
+function changes(before, after) {
+  const previous = new Map(
+    before.repos.map((repo) => [repo.nameWithOwner, repo])
+  );
+  return after.repos
+    .filter((repo) => repo.url)
+    .map((repo) => {
+      const old = previous.get(repo.nameWithOwner);
+      const name = repo.nameWithOwner.split("/").pop();
+      return old
+        ? delta(
+            `contributions in ${name}`,
+            old.contributions,
+            repo.contributions
+          )
+        : `${repo.nameWithOwner} joins the top repositories`;
+    })
+    .filter(Boolean);
+}
+
+// Per-repository contribution counts
+const dataset = {
+  name: "contributors",
+  fetch: fetchData,
+  merge: mergeAccounts,
+};
+
+const card = {
+  name: "contributors",
+  description: "top contributed repositories",
+  dataset: "contributors",
+  defaults: {
+    output: "profile/contributor-stats.svg",
+    theme: "github-dark",
+    limit: 5,
+    weights: {},
+    breakdown: false,
+    include: [],
+    exclude: [],
+    excludeForks: false,
+    excludeArchived: false,
+    excludeProfileRepo: false,
+    minStars: 0,
+    showPrivate: false,
+    maxWidth: MIN_WIDTH,
+    sort: "contributions",
+    recentMonths: 12,
+    rankBy: "stars",
+    ranks: null,
+    activity: "none",
+  },
+  schema: {
+    limit: "count",
+    weights: "object",
+    breakdown: "boolean",
+    include: "string[]",
+    exclude: "string[]",
+    excludeForks: "boolean",
+    excludeArchived: "boolean",
+    excludeProfileRepo: "boolean",
+    minStars: "number",
+    showPrivate: "boolean",
+    maxWidth: "count",
+    sort: SORTS,
+    recentMonths: "count",
+    rankBy: RANK_BY,
+    ranks: "object[]",
+    activity: ACTIVITY_PERIODS,
+  },
+  years: () => null,
+  months: neededMonths,
+  validate: (options) => {
+    resolveWeights(options.weights);
+    resolveRanks(options);
+    if (options.recentMonths < 1 || options.recentMonths > RECENT_MONTHS) {
+      throw new Error(
+        `contributors: recentMonths must be 1 to ${RECENT_MONTHS}`
+      );
+    }
+  },
+  render,
+  markdown,
+  summary,
+  changes,
+};
+
+module.exports = {
+  fetchData,
+  mergeContributions,
+  mergeAccounts,
+  aggregateRepos,
+  filterRepos,
+  topRepos,
+  recentContributions,
+  repoActivity,
+  resolveWeights,
+  resolveRanks,
+  formatBreakdown,
+  RANKS,
+  getRank,
+  generateSvg,
+  dataset,
+  card,
+};
+
+// Run directly, the card builds as with `profile-cards.js contributors`
+if (require.main === module) {
+  require("./profile-cards").run([card.name, ...process.argv.slice(2)]);
+}
@@ -0,0 +1,413 @@
+// Generates a GitHub stats SVG card using GitHub's GraphQL API, replacing
+// the third-party github-readme-stats action. Like the streak card it sums
+// every year since account creation: commits, pull requests, issues and
+// reviews, plus the stars earned on owned repositories and the number of
+// distinct repositories contributed to. A rank ring follows
+// github-readme-stats' ranking.
+//
+// Options (the "stats" card in profile-cards.config.json):
+//   countPrivate  include private contributions in the commit count
+//   hide          stats to leave out: stars, commits, prs, issues, reviews,
+//                 contributedTo
+//   hideRank      leave out the rank ring
+//
+// Rendered by profile-cards.js; see its --help.
+
+const { change, delta } = require("./lib/changes");
+const {
+  BY_REPOSITORY,
+  MAX_REPOSITORIES,
+  isTruncated,
+  fetchYears,
+  mergeDatasets,
+  privateName,
+} = require("./lib/dataset");
+const { createLocale, mirror } = require("./lib/i18n");
+const { accessible, animationCss, animationAttr } = require("./lib/svg");
+const { themeCss } = require("./lib/theme");
+
+// contributionsCollection fields for one year window's totals
+const TOTALS_FIELDS = [
+  "totalCommitContributions",
+  "restrictedContributionsCount",
+  "totalPullRequestContributions",
+  "totalIssueContributions",
+  "totalPullRequestReviewContributions",
+  ...Object.values(BY_REPOSITORY).map(
+    (field) => `${field}(maxRepositories: ${MAX_REPOSITORIES}) {
+          repository {
+            nameWithOwner
+            isPrivate
+            id
+          }
+        }`
+  ),
+].join("\n        ");
+
+// Contribution totals of a year window's contributionsCollection. Private
+// repositories are counted under a stand-in name, never stored.
+function parseTotals(collection) {
+  const repos = new Set();
+  for (const field of Object.values(BY_REPOSITORY)) {
+    for (const { repository } of collection[field]) {
+      repos.add(
+        repository.isPrivate
+          ? privateName(repository)
+          : repository.nameWithOwner
+      );
+    }
+  }
+  return {
+    commits: collection.totalCommitContributions,
+    restricted: collection.restrictedContributionsCount,
+    prs: collection.totalPullRequestContributions,
+    issues: collection.totalIssueContributions,
+    reviews: collection.totalPullRequestReviewContributions,
+    repos: [...repos].sort(),
+  };
+}
+
+// Combine the totals of several windows or accounts
+function mergeTotals(list) {
+  return {
+    commits: list.reduce((sum, y) => sum + y.commits, 0),
+    restricted: list.reduce((sum, y) => sum + y.restricted, 0),
+    prs: list.reduce((sum, y) => sum + y.prs, 0),
+    issues: list.reduce((sum, y) => sum + y.issues, 0),
+    reviews: list.reduce((sum, y) => sum + y.reviews, 0),
+    repos: [...new Set(list.flatMap((y) => y.repos))].sort(),
+  };
+}
+
+// Stars earned on public repositories the user owns, and followers. Reading
+// `stargazerCount` on every owned repository needs a personal access token:
+// the repo-scoped GITHUB_TOKEN of Actions gets FORBIDDEN.
+async function fetchProfile(graphql, login) {
+  let stars = 0;
+  let followers = 0;
+  let after = null;
+  do {
+    const result = await graphql(
+      `query($login: String!, $after: String) {
+    user(login: $login) {
+      followers {
+        totalCount
+      }
+      repositories(ownerAffiliations: OWNER, privacy: PUBLIC, isFork: false, first: 100, after: $after) {
+        nodes {
+          stargazerCount
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`,
+      { login, after }
+    );
+    const user = result.data.user;
+    followers = user.followers.totalCount;
+    for (const repo of user.repositories.nodes) stars += repo.stargazerCount;
+    after = user.repositories.pageInfo.hasNextPage
+      ? user.repositories.pageInfo.endCursor
+      : null;
+  } while (after);
+  return { stars, followers };
+}
+
+// Fetch per-year totals and the current profile counts for `login`
+async function fetchData(graphql, login, cache, timeZone = "UTC") {
+  const data = await fetchYears(graphql, login, cache, {
+    card: "stats",
+    timeZone,
+    fields: TOTALS_FIELDS,
+    parseWindow: parseTotals,
+    truncated: isTruncated,
+    combine: mergeTotals,
+  });
+  const profile = await cache.cached(`profile/${login}`, { final: false }, () =>
+    fetchProfile(graphql, login)
+  );
+  cache.save();
+  return { ...data, ...profile };
+}
+
+// Merge datasets of several accounts, summing totals and profile counts
+function mergeAccounts(datasets) {
+  const merged = mergeDatasets(datasets, mergeTotals);
+  if (datasets.length === 1) return merged;
+  return {
+    ...merged,
+    stars: datasets.reduce((sum, data) => sum + data.stars, 0),
+    followers: datasets.reduce((sum, data) => sum + data.followers, 0),
+  };
+}
+
+// Sum a dataset's years into the card's stats
+function computeStats(data, { countPrivate = false } = {}) {
+  const stats = {
+    stars: data.stars,
+    followers: data.followers,
+    commits: 0,
+    prs: 0,
+    issues: 0,
+    reviews: 0,
+    contributedTo: 0,
+  };
+  const repos = new Set();
+  for (const year of Object.values(data.years)) {
+    stats.commits += year.commits + (countPrivate ? year.restricted : 0);
+    stats.prs += year.prs;
+    stats.issues += year.issues;
+    stats.reviews += year.reviews;
+    for (const repo of year.repos) repos.add(repo);
+  }
+  stats.contributedTo = repos.size;
+  return stats;
+}
+
+function exponentialCdf(x) {
+  return 1 - 2 ** -x;
+}
+
+function logNormalCdf(x) {
+  return x / (1 + x);
+}
+
+// github-readme-stats' rank: a weighted score of each stat against a
+// typical user's, mapped to a level by percentile. Commits use its
+// all-time median since our counts cover every year.
+function calculateRank({ commits, prs, issues, reviews, stars, followers }) {
+  const weighted = [
+    [2, exponentialCdf(commits / 1000)],
+    [3, exponentialCdf(prs / 50)],
+    [1, exponentialCdf(issues / 25)],
+    [1, exponentialCdf(reviews / 2)],
+    [4, logNormalCdf(stars / 50)],
+    [1, logNormalCdf(followers / 10)],
+  ];
+  const totalWeight = weighted.reduce((sum, [weight]) => sum + weight, 0);
+  const score = weighted.reduce((sum, [weight, cdf]) => sum + weight * cdf, 0);
+  const percentile = (1 - score / totalWeight) * 100;
+
+  const THRESHOLDS = [1, 12.5, 25, 37.5, 50, 62.5, 75, 87.5, 100];
+  const LEVELS = ["S", "A+", "A", "A-", "B+", "B", "B-", "C+", "C"];
+  const level = LEVELS[THRESHOLDS.findIndex((t) => percentile <= t)];
+  return { level, percentile };
+}
+
+// Rows in display order: [key, label message]
+const STAT_ROWS = [
+  ["stars", "totalStars"],
+  ["commits", "totalCommits"],
+  ["prs", "totalPRs"],
+  ["issues", "totalIssues"],
+  ["reviews", "totalReviews"],
+  ["contributedTo", "contributedTo"],
+];
+
+// "top 12.5%"
+function formatPercentile(rank, i18n) {
+  return i18n.t("rankPercentile", {
+    percent: i18n.number(Number(rank.percentile.toFixed(1))),
+  });
+}
+
+// Right-to-left locales mirror the card: labels on the right, the rank
+// ring on the left
+function generateSvg(
+  stats,
+  theme,
+  { login, hide = [], hideRank = false, animation = true },
+  i18n = createLocale()
+) {
+  const WIDTH = 467;
+  const ROW_HEIGHT = 25;
+  const rows = STAT_ROWS.filter(([key]) => !hide.includes(key));
+  const HEIGHT = Math.max(195, 75 + rows.length * ROW_HEIGHT);
+  const FONT = `font-family="'Segoe UI', Ubuntu, Sans-Serif"`;
+  const rank = calculateRank(stats);
+  const RADIUS = 40;
+  const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+  const progress = ((100 - rank.percentile) / 100) * CIRCUMFERENCE;
+  const x = mirror(WIDTH, i18n.rtl);
+  const inner = mirror(0, i18n.rtl);
+
+  const statRows = rows
+    .map(
+      ([key, label], i) => `
+    <g transform="translate(${x(25)}, ${i * ROW_HEIGHT})"${animationAttr(`fadein 0.3s ease-in-out both ${(i + 3) * 150}ms`, animation)}>
+      <text x="0" y="12.5" class="fill-text" font-size="14" font-weight="600" ${FONT}>${i18n.t(label)}:</text>
+      <text x="${inner(hideRank ? 250 : 220)}" y="12.5" class="fill-text" font-size="14" font-weight="700" ${FONT}>${i18n.number(stats[key])}</text>
+    </g>`
+    )
+    .join("");
+
+  const ring = hideRank
+    ? ""
+    : `
+  <g transform="translate(${x(WIDTH - 100)}, ${HEIGHT / 2 + 10})">
+    <circle r="${RADIUS}" fill="none" class="stroke-accent" stroke-width="6" opacity="0.2"/>
+    <circle r="${RADIUS}" fill="none" class="stroke-accent" stroke-width="6" stroke-linecap="round"
+      stroke-dasharray="${progress.toFixed(2)} ${CIRCUMFERENCE.toFixed(2)}" transform="rotate(-90)"/>
+    <text y="8" text-anchor="middle" class="fill-text" font-size="24" font-weight="800" ${FONT}>${rank.level}</text>
+  </g>`;
+
+  const title = i18n.t("statsTitle", { name: login.split(",").join(" + ") });
+  const a11y = accessible(
+    "stats",
+    title,
+    [
+      ...rows.map(
+        ([key, label]) => `${i18n.t(label)}: ${i18n.number(stats[key])}`
+      ),
+      ...(hideRank
+        ? []
+        : [
+            `${i18n.t("rank")}: ${rank.level} (${formatPercentile(rank, i18n)})`,
+          ]),
+    ].join(". ")
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" direction="${i18n.dir}" ${a11y.attrs}>
+  ${a11y.elements}
+  <style>
+    ${animationCss(
+      `@keyframes fadein {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }`,
+      animation
+    )}
+    ${themeCss(theme)}
+  </style>
+  <rect x="0.5" y="0.5" rx="4.5" width="${WIDTH - 1}" height="${HEIGHT - 1}" class="fill-background stroke-border" stroke-width="1"/>
+  <text x="${x(25)}" y="35" class="fill-title" font-size="18" font-weight="600" ${FONT}>${title}</text>
+  <g transform="translate(0, 55)">${statRows}
+  </g>${ring}
+</svg>`;
+}
+
+// Render the card from a stats dataset
+function render(data, options, theme) {
+  const i18n = createLocale(options.locale);
+  const stats = computeStats(data, options);
+  const rank = calculateRank(stats);
+  for (const [key, label] of STAT_ROWS) {
+    console.log(`  ${i18n.t(label)}: ${i18n.number(stats[key])}`);
+  }
+  console.log(
+    `  ${i18n.t("rank")}: ${rank.level} (${formatPercentile(rank, i18n)})`
+  );
+  return generateSvg(stats, theme, { ...options, login: data.login }, i18n);
+}
+
+// Text summary for the README: one list item per shown stat and the rank
+function markdown(data, options) {
+  const i18n = createLocale(options.locale);
+  const stats = computeStats(data, options);
+  const lines = STAT_ROWS.filter(([key]) => !options.hide.includes(key)).map(
+    ([key, label]) => `- ${i18n.t(label)}: **${i18n.number(stats[key])}**`
+  );
+  if (!options.hideRank) {
+    const rank = calculateRank(stats);
+    lines.push(
+      `- ${i18n.t("rank")}: **${rank.level}** (${formatPercentile(rank, i18n)})`
+    );
+  }
+  return lines.join("\n");
+}
+
+// Machine-readable summary of the card's numbers
+function summary(data, options) {
+  const stats = computeStats(data, options);
+  const rank = calculateRank(stats);
+  return {
+    ...stats,
+    rank: { level: rank.level, percentile: Number(rank.percentile.toFixed(1)) },
+  };
+}
+
+// shields.io endpoint badges for a summary, not localized
+function badges({ stars, commits, rank }) {
+  const i18n = createLocale();
+  return {
+    stars: { label: "stars", message: i18n.number(stars) },
+    commits: { label: "commits", message: i18n.number(commits) },
+    rank: { label: "GitHub rank", message: rank.level },
+  };
+}
+
+// What changed between two summaries, for the commit message
+function changes(before, after) {
+  const counts = {
+    stars: "stars",
+    commits: "commits",
+    prs: "PRs",
+    issues: "issues",
+    reviews: "reviews",
+    contributedTo: "repositories contributed to",
+    followers: "followers",
+  };
+  return [
+    ...Object.entries(counts).map(([key, label]) =>
+      delta(label, before[key], after[key])
+    ),
+    change("rank", before.rank.level, after.rank.level),
+  ].filter(Boolean);
+}
+
+// Per-year contribution totals plus owned-repository stars
+const dataset = {
+  name: "stats",
+  fetch: fetchData,
+  merge: mergeAccounts,
+};
+
+const card = {
+  name: "stats",
+  description: "stars, commits, PRs, issues, reviews and rank",
+  dataset: "stats",
+  defaults: {
+    output: "profile/stats.svg",
+    theme: "dark",
+    countPrivate: false,
+    hide: [],
+    hideRank: false,
+  },
+  schema: {
+    countPrivate: "boolean",
+    hide: "string[]",
+    hideRank: "boolean",
+  },
+  years: () => null,
+  validate: ({ hide }) => {
+    const keys = STAT_ROWS.map(([key]) => key);
+    for (const key of hide) {
+      if (!keys.includes(key)) {
+        throw new Error(`stats: cannot hide "${key}" (expected ${keys.join(", ")})`);
+      }
+    }
+  },
+  render,
+  markdown,
+  summary,
+  badges,
+  changes,
+};
+
+module.exports = {
+  fetchData,
+  mergeAccounts,
+  computeStats,
+  calculateRank,
+  generateSvg,
+  dataset,
+  card,
+};
+
+// Run directly, the card builds as with `profile-cards.js stats`
+if (require.main === module) {
+  require("./profile-cards").run([card.name, ...process.argv.slice(2)]);
+}
@@ -3,61 +3,31 @@
 // DenverCoder1/github-readme-streak-stats behavior) so that
 // "Total Contributions" reflects the full account lifetime.
 //
-// Usage: GITHUB_TOKEN=<token> node generate-streak-stats.js <username> [output-path]
-
-const https = require("https");
-const fs = require("fs");
-
-const USERNAME = process.argv[2] || process.env.GITHUB_REPOSITORY_OWNER || "thewtex";
-const OUTPUT = process.argv[3] || "profile/streak.svg";
-const TOKEN = process.env.GITHUB_TOKEN;
-
-if (!TOKEN) {
-  console.error("Error: GITHUB_TOKEN environment variable is required");
-  process.exit(1);
-}
-
-function graphql(query) {
-  return new Promise((resolve, reject) => {
-    const body = JSON.stringify({ query });
-    const req = https.request(
-      {
-        hostname: "api.github.com",
-        path: "/graphql",
-        method: "POST",
-        headers: {
-          Authorization: `bearer ${TOKEN}`,
-          "Content-Type": "application/json",
-          "User-Agent": "github-streak-stats-generator",
-          "Content-Length": Buffer.byteLength(body),
-        },
-      },
-      (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            const parsed = JSON.parse(data);
-            if (parsed.errors) reject(new Error(JSON.stringify(parsed.errors)));
-            else resolve(parsed);
-          } catch (e) {
-            reject(e);
-          }
-        });
-      }
-    );
-    req.on("error", reject);
-    req.write(body);
-    req.end();
-  });
-}
-
-// Fetch contribution days for a single year window
-async function fetchYear(login, from, to) {
-  const result = await graphql(`query {
-    user(login: "${login}") {
-      contributionsCollection(from: "${from}", to: "${to}") {
-        contributionCalendar {
+// Options (the "streak" card in profile-cards.config.json):
+//   mode     "daily" (default), "weekdays" or "weekly"
+//   gapDays  empty days (weeks in weekly mode) a streak survives in a row
+//   trend    sparkline of contributions under the total: "none" (default),
+//            "year" (per year) or "month" (per month over the last year)
+//
+// The global "timezone" decides which calendar day a contribution falls on
+// and when "today" ends, matching the GitHub profile of a user in that
+// zone. "weekly" counts consecutive ISO weeks with a contribution and
+// "weekdays" counts Monday to Friday only: weekends neither extend nor break
+// a streak. With several users (e.g. personal and work accounts)
+// contributions are summed per date.
+//
+// Rendered by profile-cards.js; see its --help.
+
+const { change, delta } = require("./lib/changes");
+const { fetchYears, mergeDatasets } = require("./lib/dataset");
+const { accessible, animationCss, animationAttr } = require("./lib/svg");
+const { truncateText } = require("./lib/text");
+const { themeCss } = require("./lib/theme");
+const { createLocale, mirror } = require("./lib/i18n");
+const { dateInZone, lastMonths } = require("./lib/time");
+
+// contributionsCollection fields for one year window's contribution days
+const CALENDAR_FIELDS = `contributionCalendar {
           totalContributions
           weeks {
             contributionDays {
@@ -65,14 +35,12 @@ async function fetchYear(login, from, to) {
               date
             }
           }
-        }
-      }
-    }
-  }`);
-  const weeks =
-    result.data.user.contributionsCollection.contributionCalendar.weeks;
+        }`;
+
+// The contribution days of a year window's contributionsCollection
+function parseCalendar(collection) {
   const days = [];
-  for (const week of weeks) {
+  for (const week of collection.contributionCalendar.weeks) {
     for (const day of week.contributionDays) {
       days.push({ date: day.date, count: day.contributionCount });
     }
@@ -80,105 +48,114 @@ async function fetchYear(login, from, to) {
   return days;
 }
 
-// Fetch account creation date
-async function fetchCreatedAt(login) {
-  const result = await graphql(
-    `query { user(login: "${login}") { createdAt } }`
-  );
-  return result.data.user.createdAt;
+const STREAK_MODES = ["daily", "weekdays", "weekly"];
+// Message keys of each mode's streak length unit
+const STREAK_UNITS = { daily: "days", weekdays: "weekdays", weekly: "weeks" };
+
+// A streak length in the mode's unit: "5 days", "1 week"
+function formatLength(n, mode, i18n) {
+  return i18n.t(STREAK_UNITS[mode], { n });
 }
 
-function formatDate(dateStr) {
-  const months = [
-    "Jan", "Feb", "Mar", "Apr", "May", "Jun",
-    "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
-  ];
-  const d = new Date(dateStr + "T00:00:00Z");
-  return `${months[d.getUTCMonth()]} ${d.getUTCDate()}, ${d.getUTCFullYear()}`;
+function weekday(dateStr) {
+  return new Date(dateStr + "T00:00:00Z").getUTCDay();
 }
 
-function formatDateShort(dateStr) {
-  const months = [
-    "Jan", "Feb", "Mar", "Apr", "May", "Jun",
-    "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
-  ];
+// Monday of the ISO week containing `dateStr`
+function isoWeekStart(dateStr) {
   const d = new Date(dateStr + "T00:00:00Z");
-  return `${months[d.getUTCMonth()]} ${d.getUTCDate()}`;
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
 }
 
-function formatNumber(n) {
-  return n.toLocaleString("en-US");
+// Group sorted days into streak units: one per day, or one per ISO week in
+// "weekly" mode. "weekdays" mode skips weekend days: they neither extend a
+// streak nor break one.
+function streakUnits(days, mode) {
+  if (mode !== "weekly") {
+    return days
+      .filter(
+        (day) => mode !== "weekdays" || ![0, 6].includes(weekday(day.date))
+      )
+      .map((day) => ({ start: day.date, end: day.date, count: day.count }));
+  }
+  const units = [];
+  for (const day of days) {
+    const start = isoWeekStart(day.date);
+    const last = units[units.length - 1];
+    if (last && last.start === start) {
+      last.end = day.date;
+      last.count += day.count;
+    } else {
+      units.push({ start, end: day.date, count: day.count });
+    }
+  }
+  return units;
 }
 
-function computeStreaks(days) {
+// `now` is the moment the data was fetched (defaults to the current time);
+// "today" is its calendar date in `timeZone`. `mode` is one of STREAK_MODES
+// and `gapDays` is how many empty units in a row a streak survives.
+function computeStreaks(
+  days,
+  now = new Date(),
+  timeZone = "UTC",
+  { mode = "daily", gapDays = 0 } = {}
+) {
   // Sort by date ascending
   days.sort((a, b) => (a.date < b.date ? -1 : 1));
 
-  const today = new Date().toISOString().slice(0, 10);
+  const today = dateInZone(now, timeZone);
 
   let totalContributions = 0;
-  let currentStreak = 0;
-  let currentStreakStart = null;
-  let currentStreakEnd = null;
+  let firstContribDate = null;
+  for (const day of days) {
+    totalContributions += day.count;
+    if (day.count > 0 && !firstContribDate) firstContribDate = day.date;
+  }
+
+  const units = streakUnits(days, mode);
+  // The unit containing today isn't over yet; don't let it break a streak
+  const last = units[units.length - 1];
+  if (last && last.end === today && last.count === 0) units.pop();
+
   let longestStreak = 0;
   let longestStreakStart = null;
   let longestStreakEnd = null;
 
-  // Track running streak for longest calculation
+  // Running streak; whatever is left at the end is the current streak
   let runStreak = 0;
   let runStart = null;
+  let runEnd = null;
+  let gap = 0;
 
-  // Find first contribution date
-  let firstContribDate = null;
-
-  for (const day of days) {
-    totalContributions += day.count;
-
-    if (day.count > 0) {
-      if (!firstContribDate) firstContribDate = day.date;
-
-      if (runStreak === 0) {
-        runStart = day.date;
-      }
+  for (const unit of units) {
+    if (unit.count > 0) {
+      if (runStreak === 0) runStart = unit.start;
       runStreak++;
+      runEnd = unit.end;
+      gap = 0;
 
       if (runStreak > longestStreak) {
         longestStreak = runStreak;
         longestStreakStart = runStart;
-        longestStreakEnd = day.date;
+        longestStreakEnd = runEnd;
       }
-    } else {
+    } else if (++gap > gapDays) {
       runStreak = 0;
       runStart = null;
-    }
-  }
-
-  // Current streak: count consecutive days with contributions ending at
-  // today or yesterday (if today has no contributions yet)
-  currentStreak = 0;
-  currentStreakStart = null;
-  currentStreakEnd = null;
-
-  for (let i = days.length - 1; i >= 0; i--) {
-    const day = days[i];
-    // Skip today if no contributions yet (the day isn't over)
-    if (i === days.length - 1 && day.date === today && day.count === 0) {
-      continue;
-    }
-    if (day.count > 0) {
-      currentStreak++;
-      currentStreakStart = day.date;
-      if (!currentStreakEnd) currentStreakEnd = day.date;
-    } else {
-      break;
+      runEnd = null;
+      gap = 0;
     }
   }
 
   return {
+    mode,
+    gapDays,
     totalContributions,
-    currentStreak,
-    currentStreakStart,
-    currentStreakEnd,
+    currentStreak: runStreak,
+    currentStreakStart: runStart,
+    currentStreakEnd: runEnd,
     longestStreak,
     longestStreakStart,
     longestStreakEnd,
@@ -186,40 +163,136 @@ function computeStreaks(days) {
   };
 }
 
-function generateSvg(stats) {
+// Card labels for the streak columns in each mode
+function streakLabels(stats, i18n) {
+  if (stats.mode === "weekly") {
+    return {
+      current: i18n.t("weekStreak"),
+      longest: i18n.t("longestWeekStreak"),
+    };
+  }
+  if (stats.mode === "weekdays") {
+    return {
+      current: i18n.t("weekdayStreak"),
+      longest: i18n.t("longestWeekdayStreak"),
+    };
+  }
+  return { current: i18n.t("currentStreak"), longest: i18n.t("longestStreak") };
+}
+
+const TREND_PERIODS = ["none", "year", "month"];
+// Months charted by the monthly trend
+const TREND_MONTHS = 12;
+
+// Sparkline path data through `values`, spread over a box `width` wide and
+// `height` high at (`left`, `top`); `x` maps positions for right-to-left
+// layouts. Returns { line, area, end } with the last point at `end`.
+function sparkline(values, { left, top, width, height }, x) {
+  const max = Math.max(...values, 1);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const round = (n) => Math.round(n * 10) / 10;
+  const points = (values.length > 1 ? values : [values[0], values[0]]).map(
+    (value, i) => [
+      round(x(left + i * (step || width))),
+      round(top + height - (value / max) * height),
+    ]
+  );
+  const line = points.map(([px, py], i) => `${i ? "L" : "M"} ${px} ${py}`);
+  const first = points[0][0];
+  const [lastX, lastY] = points[points.length - 1];
+  return {
+    line: line.join(" "),
+    area: `${line.join(" ")} L ${lastX} ${top + height} L ${first} ${top + height} Z`,
+    end: { x: lastX, y: lastY },
+  };
+}
+
+// With `animation: false` the card is static. `stats.trend` adds a
+// sparkline of [{ label, count }] under the total.
+function generateSvg(
+  stats,
+  theme,
+  { animation = true } = {},
+  i18n = createLocale()
+) {
   const WIDTH = 495;
   const HEIGHT = 195;
   const COL_WIDTH = WIDTH / 3;
+  // Column centers; right-to-left locales read the total last
+  const x = mirror(WIDTH, i18n.rtl);
+  // Labels and dates are cut short to fit their column
+  const fit = (text, size) => truncateText(text, COL_WIDTH - 20, { size });
 
-  // Theme: dark (matching the original card)
-  const BG = "#151515";
-  const BORDER = "#E4E2E2";
-  const TEXT_PRIMARY = "#FEFEFE";
-  const TEXT_SECONDARY = "#9E9E9E";
-  const ACCENT = "#FB8C00";
+  const range = (start, end) =>
+    i18n.t("dateRange", {
+      start: i18n.dateShort(start),
+      end: i18n.dateShort(end),
+    });
 
   const currentRange =
     stats.currentStreak > 0 && stats.currentStreakStart && stats.currentStreakEnd
-      ? `${formatDateShort(stats.currentStreakStart)} - ${formatDateShort(stats.currentStreakEnd)}`
-      : "No active streak";
+      ? range(stats.currentStreakStart, stats.currentStreakEnd)
+      : i18n.t("noActiveStreak");
 
   const longestRange =
     stats.longestStreak > 0 &&
     stats.longestStreakStart &&
     stats.longestStreakEnd
-      ? `${formatDateShort(stats.longestStreakStart)} - ${formatDateShort(stats.longestStreakEnd)}`
-      : "N/A";
+      ? range(stats.longestStreakStart, stats.longestStreakEnd)
+      : i18n.t("notAvailable");
 
-  const totalRange = `${formatDate(stats.firstContribDate)} - Present`;
+  const totalRange = i18n.t("dateRange", {
+    start: i18n.date(stats.firstContribDate),
+    end: i18n.t("present"),
+  });
+  const labels = streakLabels(stats, i18n);
+  const trend = stats.trend && stats.trend.length > 0 ? stats.trend : null;
+  // Between the total and its label; time runs leftwards when mirrored
+  const spark =
+    trend &&
+    sparkline(
+      trend.map((point) => point.count),
+      { left: COL_WIDTH * 0.5 - 55, top: 92, width: 110, height: 18 },
+      x
+    );
+  const trendElements = spark
+    ? `<!-- Contributions trend -->
+<g${animationAttr("fadein 0.5s linear both 0.6s", animation)}>
+    <path d='${spark.area}' class='fill-accent' opacity='0.15'/>
+    <path d='${spark.line}' fill='none' class='stroke-accent' stroke-width='1.5' stroke-linejoin='round' stroke-linecap='round'/>
+    <circle cx='${spark.end.x}' cy='${spark.end.y}' r='2' class='fill-accent'/>
+</g>
+`
+    : "";
+  const a11y = accessible(
+    "streak",
+    i18n.t("streakTitle"),
+    [
+      `${i18n.t("totalContributions")}: ${i18n.number(stats.totalContributions)} (${totalRange})`,
+      ...(trend
+        ? [
+            trend
+              .map(
+                ({ label, count }) =>
+                  `${label.length > 4 ? i18n.monthYear(label) : label}: ${i18n.t("contributions", { n: count })}`
+              )
+              .join(", "),
+          ]
+        : []),
+      `${labels.current}: ${formatLength(stats.currentStreak, stats.mode, i18n)} (${currentRange})`,
+      `${labels.longest}: ${formatLength(stats.longestStreak, stats.mode, i18n)} (${longestRange})`,
+    ].join(". ")
+  );
 
   // Fire icon path (from DenverCoder1's original)
   const firePath = `M 1.5 0.67 C 1.5 0.67 2.24 3.32 2.24 5.47 C 2.24 7.53 0.89 9.2 -1.17 9.2 C -3.23 9.2 -4.79 7.53 -4.79 5.47 L -4.76 5.11 C -6.78 7.51 -8 10.62 -8 13.99 C -8 18.41 -4.42 22 0 22 C 4.42 22 8 18.41 8 13.99 C 8 8.6 5.41 3.79 1.5 0.67 Z M -0.29 19 C -2.07 19 -3.51 17.6 -3.51 15.86 C -3.51 14.24 -2.46 13.1 -0.7 12.74 C 1.07 12.38 2.9 11.53 3.92 10.16 C 4.31 11.45 4.51 12.81 4.51 14.2 C 4.51 16.85 2.36 19 -0.29 19 Z`;
 
   return `<svg xmlns='http://www.w3.org/2000/svg' xmlns:xlink='http://www.w3.org/1999/xlink'
-      style='isolation: isolate' viewBox='0 0 ${WIDTH} ${HEIGHT}' direction='ltr'>
-  
+      style='isolation: isolate' viewBox='0 0 ${WIDTH} ${HEIGHT}' direction='${i18n.dir}' ${a11y.attrs}>
+  ${a11y.elements}
     <style>
-      @keyframes currstreak {
+      ${animationCss(
+        `@keyframes currstreak {
         0% { font-size: 3px; opacity: 0.2; }
         80% { font-size: 34px; opacity: 1; }
         100% { font-size: 28px; opacity: 1; }
@@ -227,7 +300,10 @@ function generateSvg(stats) {
       @keyframes fadein {
         0% { opacity: 0; }
         100% { opacity: 1; }
-      }
+      }`,
+        animation
+      )}
+      ${themeCss(theme)}
     </style>
   <defs>
     <clipPath id='outer_rectangle'>
@@ -236,7 +312,7 @@ function generateSvg(stats) {
   </defs>
   <g clip-path='url(#outer_rectangle)'>
     <g style='isolation: isolate'>
-      <rect x="0.5" y="0.5" rx="4.5" ry="4.5" width="${WIDTH - 1}" height="${HEIGHT - 1}" fill="${BG}" stroke="${BORDER}" stroke-width="1"/>
+      <rect x="0.5" y="0.5" rx="4.5" ry="4.5" width="${WIDTH - 1}" height="${HEIGHT - 1}" class="fill-background stroke-border" stroke-width="1"/>
     </g>
     <defs>
     <mask id='ringMask'>
@@ -245,93 +321,253 @@ function generateSvg(stats) {
       <ellipse cx='${COL_WIDTH * 1.5}' cy='36' rx='13' ry='18' fill='black'/>
     </mask>
     </defs>
-<line x1='${COL_WIDTH}' y1='28' x2='${COL_WIDTH}' y2='170' vector-effect='non-scaling-stroke' stroke-width='1' stroke='${BORDER}' stroke-linejoin='miter' stroke-linecap='square' stroke-miterlimit='3'/>
-<line x1='${COL_WIDTH * 2}' y1='28' x2='${COL_WIDTH * 2}' y2='170' vector-effect='non-scaling-stroke' stroke-width='1' stroke='${BORDER}' stroke-linejoin='miter' stroke-linecap='square' stroke-miterlimit='3'/>
+<line x1='${COL_WIDTH}' y1='28' x2='${COL_WIDTH}' y2='170' vector-effect='non-scaling-stroke' stroke-width='1' class='stroke-divider' stroke-linejoin='miter' stroke-linecap='square' stroke-miterlimit='3'/>
+<line x1='${COL_WIDTH * 2}' y1='28' x2='${COL_WIDTH * 2}' y2='170' vector-effect='non-scaling-stroke' stroke-width='1' class='stroke-divider' stroke-linejoin='miter' stroke-linecap='square' stroke-miterlimit='3'/>
 <!-- Total Contributions -->
-<text x='${COL_WIDTH * 0.5}' y='79' stroke-width='0' text-anchor='middle' fill='${TEXT_PRIMARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='700' font-size='28px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.5s'>${formatNumber(stats.totalContributions)}</text>
-<text x='${COL_WIDTH * 0.5}' y='130' stroke-width='0' text-anchor='middle' fill='${TEXT_PRIMARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='14px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.65s'>Total Contributions</text>
-<text x='${COL_WIDTH * 0.5}' y='158' stroke-width='0' text-anchor='middle' fill='${TEXT_SECONDARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='12px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.8s'>${totalRange}</text>
+<text x='${x(COL_WIDTH * 0.5)}' y='79' stroke-width='0' text-anchor='middle' class='fill-text' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='700' font-size='28px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.5s", animation)}>${i18n.number(stats.totalContributions)}</text>
+${trendElements}<text x='${x(COL_WIDTH * 0.5)}' y='130' stroke-width='0' text-anchor='middle' class='fill-text' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='14px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.65s", animation)}>${fit(i18n.t("totalContributions"), 14)}</text>
+<text x='${x(COL_WIDTH * 0.5)}' y='158' stroke-width='0' text-anchor='middle' class='fill-muted' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='12px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.8s", animation)}>${fit(totalRange, 12)}</text>
 <!-- Current Streak ring -->
-<g style='animation: fadein 0.5s linear forwards 0.4s; opacity: 0'>
-    <circle cx='${COL_WIDTH * 1.5}' cy='72' r='40' fill='none' stroke='${ACCENT}' stroke-width='5' stroke-linecap='round' mask='url(#ringMask)'/>
+<g${animationAttr("fadein 0.5s linear both 0.4s", animation)}>
+    <circle cx='${COL_WIDTH * 1.5}' cy='72' r='40' fill='none' class='stroke-accent' stroke-width='5' stroke-linecap='round' mask='url(#ringMask)'/>
 </g>
 <!-- Fire icon -->
-<g style='animation: fadein 0.5s linear forwards 0.6s; opacity: 0'>
+<g${animationAttr("fadein 0.5s linear both 0.6s", animation)}>
     <g transform='translate(${COL_WIDTH * 1.5}, 18)'>
-      <path d='${firePath}' fill='${ACCENT}'/>
+      <path d='${firePath}' class='fill-accent'/>
     </g>
 </g>
 <!-- Current Streak -->
-<text x='${COL_WIDTH * 1.5}' y='79' stroke-width='0' text-anchor='middle' fill='${TEXT_PRIMARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='700' font-size='28px' font-style='normal' style='animation: currstreak 0.6s linear forwards'>${formatNumber(stats.currentStreak)}</text>
-<text x='${COL_WIDTH * 1.5}' y='130' stroke-width='0' text-anchor='middle' fill='${ACCENT}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='14px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.9s'>Current Streak</text>
-<text x='${COL_WIDTH * 1.5}' y='158' stroke-width='0' text-anchor='middle' fill='${TEXT_SECONDARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='12px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.9s'>${currentRange}</text>
+<text x='${COL_WIDTH * 1.5}' y='79' stroke-width='0' text-anchor='middle' class='fill-text' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='700' font-size='28px' font-style='normal'${animationAttr("currstreak 0.6s linear both", animation)}>${i18n.number(stats.currentStreak)}</text>
+<text x='${COL_WIDTH * 1.5}' y='130' stroke-width='0' text-anchor='middle' class='fill-accent' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='14px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.9s", animation)}>${fit(labels.current, 14)}</text>
+<text x='${COL_WIDTH * 1.5}' y='158' stroke-width='0' text-anchor='middle' class='fill-muted' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='12px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.9s", animation)}>${fit(currentRange, 12)}</text>
 <!-- Longest Streak -->
-<text x='${COL_WIDTH * 2.5}' y='79' stroke-width='0' text-anchor='middle' fill='${TEXT_PRIMARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='700' font-size='28px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.5s'>${formatNumber(stats.longestStreak)}</text>
-<text x='${COL_WIDTH * 2.5}' y='130' stroke-width='0' text-anchor='middle' fill='${TEXT_PRIMARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='14px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.65s'>Longest Streak</text>
-<text x='${COL_WIDTH * 2.5}' y='158' stroke-width='0' text-anchor='middle' fill='${TEXT_SECONDARY}' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='12px' font-style='normal' style='opacity: 0; animation: fadein 0.5s linear forwards 0.8s'>${longestRange}</text>
+<text x='${x(COL_WIDTH * 2.5)}' y='79' stroke-width='0' text-anchor='middle' class='fill-text' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='700' font-size='28px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.5s", animation)}>${i18n.number(stats.longestStreak)}</text>
+<text x='${x(COL_WIDTH * 2.5)}' y='130' stroke-width='0' text-anchor='middle' class='fill-text' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='14px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.65s", animation)}>${fit(labels.longest, 14)}</text>
+<text x='${x(COL_WIDTH * 2.5)}' y='158' stroke-width='0' text-anchor='middle' class='fill-muted' stroke='none' font-family='"Segoe UI", Ubuntu, sans-serif' font-weight='400' font-size='12px' font-style='normal'${animationAttr("fadein 0.5s linear both 0.8s", animation)}>${fit(longestRange, 12)}</text>
   </g>
 </svg>`;
 }
 
-async function main() {
-  console.log(`Fetching streak data for ${USERNAME}...`);
-
-  // Get account creation year
-  const createdAt = await fetchCreatedAt(USERNAME);
-  const startYear = new Date(createdAt).getFullYear();
-  const currentYear = new Date().getFullYear();
-
-  console.log(
-    `Account created: ${createdAt} — fetching ${currentYear - startYear + 1} years of data`
-  );
+// Fetch the raw per-year contribution days for `login` as a dataset, with
+// years and days delimited in `timeZone`. `fromYear`/`toYear` narrow the
+// default range of account creation to the current year.
+function fetchData(graphql, login, cache, timeZone = "UTC", years = {}) {
+  return fetchYears(graphql, login, cache, {
+    card: "streak",
+    timeZone,
+    ...years,
+    fields: CALENDAR_FIELDS,
+    parseWindow: parseCalendar,
+  });
+}
 
-  // Fetch all years
-  const allDays = [];
-  for (let year = startYear; year <= currentYear; year++) {
-    const from = `${year}-01-01T00:00:00Z`;
-    const to =
-      year === currentYear
-        ? new Date().toISOString()
-        : `${year + 1}-01-01T00:00:00Z`;
-
-    console.log(`  Fetching ${year}...`);
-    try {
-      const days = await fetchYear(USERNAME, from, to);
-      allDays.push(...days);
-    } catch (err) {
-      console.warn(`  Warning: failed to fetch ${year}: ${err.message}`);
+// Merge datasets of several accounts, summing contributions per date
+function mergeAccounts(datasets) {
+  return mergeDatasets(datasets, (lists) => {
+    const counts = new Map();
+    for (const days of lists) {
+      for (const day of days) {
+        counts.set(day.date, (counts.get(day.date) || 0) + day.count);
+      }
     }
-  }
+    return [...counts].map(([date, count]) => ({ date, count }));
+  });
+}
 
+// Flatten a dataset's years into one list of unique days
+function collectDays(data) {
   // Deduplicate days (year boundaries may overlap)
   const dayMap = new Map();
-  for (const day of allDays) {
-    const existing = dayMap.get(day.date);
-    if (!existing || day.count > existing.count) {
-      dayMap.set(day.date, day);
+  for (const days of Object.values(data.years)) {
+    for (const day of days) {
+      const existing = dayMap.get(day.date);
+      if (!existing || day.count > existing.count) {
+        dayMap.set(day.date, day);
+      }
     }
   }
-  const uniqueDays = [...dayMap.values()];
+  return [...dayMap.values()];
+}
 
-  console.log(`  Total unique days: ${uniqueDays.length}`);
+// Streak stats of a streak dataset, as of when it was fetched
+function streakStats(data, { mode, gapDays }) {
+  return computeStreaks(
+    collectDays(data),
+    new Date(data.fetchedAt),
+    data.timeZone || "UTC",
+    { mode, gapDays }
+  );
+}
 
-  const stats = computeStreaks(uniqueDays);
+// Contributions per year of the dataset, or per month over the last
+// TREND_MONTHS months: [{ label, count }] oldest first, labelled "YYYY" or
+// "YYYY-MM"; null for "none"
+function contributionTrend(data, period = "none") {
+  if (period === "none") return null;
+  let labels;
+  if (period === "month") {
+    labels = lastMonths(
+      new Date(data.fetchedAt),
+      TREND_MONTHS,
+      data.timeZone || "UTC"
+    );
+  } else {
+    const years = Object.keys(data.years).map(Number);
+    labels = [];
+    for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+      labels.push(String(year));
+    }
+  }
+  const counts = new Map(labels.map((label) => [label, 0]));
+  for (const day of collectDays(data)) {
+    const label = day.date.slice(0, period === "month" ? 7 : 4);
+    if (counts.has(label)) counts.set(label, counts.get(label) + day.count);
+  }
+  return labels.map((label) => ({ label, count: counts.get(label) }));
+}
 
-  console.log(`  Total Contributions: ${formatNumber(stats.totalContributions)}`);
+// Render the card from a streak dataset
+function render(data, options, theme) {
+  console.log(`  Total unique days: ${collectDays(data).length}`);
+  const stats = {
+    ...streakStats(data, options),
+    trend: contributionTrend(data, options.trend),
+  };
+
+  console.log(`  Total Contributions: ${stats.totalContributions}`);
   console.log(`  Current Streak: ${stats.currentStreak}`);
   console.log(`  Longest Streak: ${stats.longestStreak}`);
 
-  const svg = generateSvg(stats);
+  return generateSvg(stats, theme, options, createLocale(options.locale));
+}
+
+// Text summary for the README, e.g. "- Current Streak: **5 days** (Oct 14 -
+// Oct 19)"
+function markdown(data, options) {
+  const i18n = createLocale(options.locale);
+  const stats = streakStats(data, options);
+  const labels = streakLabels(stats, i18n);
+  const length = (n) => `**${formatLength(n, stats.mode, i18n)}**`;
+  const range = (start, end) =>
+    i18n.t("dateRange", { start: i18n.date(start), end: i18n.date(end) });
+  const streak = (n, start, end) =>
+    n > 0 && start && end ? `${length(n)} (${range(start, end)})` : length(n);
+  const since = i18n.t("dateRange", {
+    start: i18n.date(stats.firstContribDate),
+    end: i18n.t("present"),
+  });
+  return [
+    `- ${i18n.t("totalContributions")}: **${i18n.number(stats.totalContributions)}** (${since})`,
+    `- ${labels.current}: ${streak(stats.currentStreak, stats.currentStreakStart, stats.currentStreakEnd)}`,
+    `- ${labels.longest}: ${streak(stats.longestStreak, stats.longestStreakStart, stats.longestStreakEnd)}`,
+  ].join("\n");
+}
 
-  // Ensure output directory exists
-  const dir = OUTPUT.split("/").slice(0, -1).join("/");
-  if (dir) fs.mkdirSync(dir, { recursive: true });
+// Machine-readable summary of the card's numbers
+function summary(data, options) {
+  const stats = streakStats(data, options);
+  return {
+    mode: stats.mode,
+    gapDays: stats.gapDays,
+    totalContributions: stats.totalContributions,
+    firstContribution: stats.firstContribDate,
+    currentStreak: {
+      length: stats.currentStreak,
+      start: stats.currentStreakStart,
+      end: stats.currentStreakEnd,
+    },
+    longestStreak: {
+      length: stats.longestStreak,
+      start: stats.longestStreakStart,
+      end: stats.longestStreakEnd,
+    },
+  };
+}
 
-  fs.writeFileSync(OUTPUT, svg);
-  console.log(`SVG written to ${OUTPUT}`);
+// shields.io endpoint badges for a summary. Like the summary they are not
+// localized.
+function badges({ mode, totalContributions, currentStreak, longestStreak }) {
+  const i18n = createLocale();
+  return {
+    "total-contributions": {
+      label: "contributions",
+      message: i18n.number(totalContributions),
+    },
+    "current-streak": {
+      label: "current streak",
+      message: formatLength(currentStreak.length, mode, i18n),
+    },
+    "longest-streak": {
+      label: "longest streak",
+      message: formatLength(longestStreak.length, mode, i18n),
+    },
+  };
 }
 
-main().catch((err) => {
-  console.error("Fatal error:", err);
-  process.exit(1);
-});
+// What changed between two summaries, for the commit message
+function changes(before, after) {
+  return [
+    delta("contributions", before.totalContributions, after.totalContributions),
+    change(
+      "current streak",
+      before.currentStreak.length,
+      after.currentStreak.length
+    ),
+    change(
+      "longest streak",
+      before.longestStreak.length,
+      after.longestStreak.length
+    ),
+  ].filter(Boolean);
+}
+
+// Per-day contribution calendars, shared with the heatmap card
+const dataset = {
+  name: "streak",
+  fetch: fetchData,
+  merge: mergeAccounts,
+};
+
+const card = {
+  name: "streak",
+  description: "current, longest and total contribution streaks",
+  dataset: "streak",
+  defaults: {
+    output: "profile/streak.svg",
+    theme: "dark",
+    mode: "daily",
+    gapDays: 0,
+    trend: "none",
+  },
+  schema: {
+    mode: STREAK_MODES,
+    gapDays: "count",
+    trend: TREND_PERIODS,
+  },
+  years: () => null,
+  render,
+  markdown,
+  summary,
+  badges,
+  changes,
+};
+
+module.exports = {
+  fetchData,
+  mergeAccounts,
+  collectDays,
+  computeStreaks,
+  streakStats,
+  contributionTrend,
+  streakLabels,
+  generateSvg,
+  formatLength,
+  dataset,
+  card,
+};
+
+// Run directly, the card builds as with `profile-cards.js streak`
+if (require.main === module) {
+  require("./profile-cards").run([card.name, ...process.argv.slice(2)]);
+}
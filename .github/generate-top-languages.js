@@ -0,0 +1,312 @@
+// Generates a "Most Used Languages" SVG card from the repositories the user
+// contributed to, replacing the third-party top-langs action (which only
+// looks at repositories the user owns). Each repository's language sizes
+// are turned into shares and weighted by the user's contributions to it,
+// using the contributors card's data.
+//
+// Options (the "languages" card in profile-cards.config.json):
+//   layout   "compact" (default), "bar" or "donut"
+//   limit    number of languages shown (default 8)
+//   hide     language names to leave out (case-insensitive)
+//   weights  contribution weights, as for the contributors card
+//
+// Rendered by profile-cards.js; see its --help.
+
+const { createLocale, mirror } = require("./lib/i18n");
+const {
+  accessible,
+  animationCss,
+  animationAttr,
+  escapeXml,
+} = require("./lib/svg");
+const { themeCss } = require("./lib/theme");
+const {
+  aggregateRepos,
+  filterRepos,
+  resolveWeights,
+} = require("./generate-contributor-stats");
+const { parseLogins } = require("./lib/args");
+
+const LAYOUTS = ["compact", "bar", "donut"];
+const FALLBACK_COLOR = "#858585";
+
+// Weight each repository's language shares by the contributions made to it.
+// Returns [{ name, color, weight, percent }] sorted by weight.
+function computeLanguages(repos, { hide = [], limit = 8 } = {}) {
+  const hidden = hide.map((name) => name.toLowerCase());
+  const languages = new Map();
+
+  for (const repo of repos) {
+    const shown = repo.languages.filter(
+      (lang) => !hidden.includes(lang.name.toLowerCase())
+    );
+    const totalSize = shown.reduce((sum, lang) => sum + lang.size, 0);
+    if (totalSize === 0) continue;
+    for (const lang of shown) {
+      const entry = languages.get(lang.name) || {
+        name: lang.name,
+        color: lang.color || FALLBACK_COLOR,
+        weight: 0,
+      };
+      entry.weight += (lang.size / totalSize) * repo.contributions;
+      languages.set(lang.name, entry);
+    }
+  }
+
+  const top = [...languages.values()]
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit);
+  const total = top.reduce((sum, lang) => sum + lang.weight, 0);
+  return top.map((lang) => ({ ...lang, percent: (lang.weight / total) * 100 }));
+}
+
+const FONT = `font-family="'Segoe UI', Ubuntu, Sans-Serif"`;
+
+// "12.34%" in the card's locale
+function formatPercent(percent, i18n) {
+  return new Intl.NumberFormat(i18n.locale, {
+    style: "percent",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(percent / 100);
+}
+
+// Layouts draw in a box `width` wide; `x` mirrors it for right-to-left
+// locales
+function legendItem(lang, left, y, x, i18n) {
+  const inner = mirror(0, i18n.rtl);
+  return `<g transform="translate(${x(left)}, ${y})">
+      <circle cx="${inner(5)}" cy="6" r="5" fill="${escapeXml(lang.color)}"/>
+      <text x="${inner(15)}" y="10" class="fill-text" font-size="11" font-weight="400" ${FONT}>${escapeXml(lang.name)} ${formatPercent(lang.percent, i18n)}</text>
+    </g>`;
+}
+
+// One stacked bar with a two-column legend
+function compactLayout(languages, width, i18n) {
+  const BAR_WIDTH = width - 50;
+  const x = mirror(BAR_WIDTH, i18n.rtl);
+  let offset = 0;
+  const segments = languages
+    .map((lang) => {
+      const w = (lang.percent / 100) * BAR_WIDTH;
+      const rect = `<rect x="${x(offset, w).toFixed(2)}" y="0" width="${w.toFixed(2)}" height="8" fill="${escapeXml(lang.color)}"/>`;
+      offset += w;
+      return rect;
+    })
+    .join("\n      ");
+  const legend = languages
+    .map((lang, i) =>
+      legendItem(
+        lang,
+        (i % 2) * (BAR_WIDTH / 2),
+        25 + Math.floor(i / 2) * 25,
+        x,
+        i18n
+      )
+    )
+    .join("\n    ");
+  return {
+    height: 25 + Math.ceil(languages.length / 2) * 25 + 10,
+    body: `<mask id="bar-mask">
+      <rect x="0" y="0" width="${BAR_WIDTH}" height="8" fill="white" rx="5"/>
+    </mask>
+    <g mask="url(#bar-mask)">
+      ${segments}
+    </g>
+    ${legend}`,
+  };
+}
+
+// One labelled progress bar per language
+function barLayout(languages, width, i18n) {
+  const BAR_WIDTH = width - 100;
+  const x = mirror(width - 50, i18n.rtl);
+  const body = languages
+    .map((lang, i) => {
+      const filled = (lang.percent / 100) * BAR_WIDTH;
+      return `<g transform="translate(0, ${i * 40})">
+      <text x="${x(2)}" y="15" class="fill-text" font-size="11" font-weight="400" ${FONT}>${escapeXml(lang.name)}</text>
+      <text x="${x(BAR_WIDTH + 10)}" y="34" class="fill-text" font-size="11" font-weight="400" ${FONT}>${formatPercent(lang.percent, i18n)}</text>
+      <rect x="${x(0, BAR_WIDTH)}" y="25" width="${BAR_WIDTH}" height="8" rx="5" class="fill-muted" fill-opacity="0.3"/>
+      <rect x="${x(0, filled).toFixed(2)}" y="25" width="${filled.toFixed(2)}" height="8" rx="5" fill="${escapeXml(lang.color)}"/>
+    </g>`;
+    })
+    .join("\n    ");
+  return { height: languages.length * 40 + 5, body };
+}
+
+// A donut chart beside the legend
+function donutLayout(languages, width, i18n) {
+  const RADIUS = 50;
+  const STROKE = 18;
+  const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+  const x = mirror(width - 50, i18n.rtl);
+  const cx = x(width - 50 - RADIUS - STROKE / 2);
+  const height = Math.max(2 * RADIUS + STROKE + 10, languages.length * 22);
+  let offset = 0;
+  const arcs = languages
+    .map((lang) => {
+      const length = (lang.percent / 100) * CIRCUMFERENCE;
+      const arc = `<circle r="${RADIUS}" fill="none" stroke="${escapeXml(lang.color)}" stroke-width="${STROKE}" stroke-dasharray="${length.toFixed(2)} ${CIRCUMFERENCE.toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}"/>`;
+      offset += length;
+      return arc;
+    })
+    .join("\n      ");
+  const legend = languages
+    .map((lang, i) => legendItem(lang, 0, i * 22, x, i18n))
+    .join("\n    ");
+  return {
+    height,
+    body: `${legend}
+    <g transform="translate(${cx}, ${height / 2}) rotate(-90)">
+      ${arcs}
+    </g>`,
+  };
+}
+
+function generateSvg(
+  languages,
+  theme,
+  { layout = "compact", animation = true } = {},
+  i18n = createLocale()
+) {
+  const WIDTH = layout === "compact" ? 300 : 350;
+  const x = mirror(WIDTH, i18n.rtl);
+  // Layouts draw inside a box 25px in from either side
+  const box = mirror(WIDTH - 50, i18n.rtl);
+  const content = languages.length
+    ? { compact: compactLayout, bar: barLayout, donut: donutLayout }[layout](
+        languages,
+        WIDTH,
+        i18n
+      )
+    : {
+        height: 20,
+        body: `<text x="${box(0)}" y="12" class="fill-muted" font-size="12" ${FONT}>${i18n.t("noLanguageData")}</text>`,
+      };
+  const HEIGHT = 55 + content.height + 15;
+  const a11y = accessible(
+    "languages",
+    i18n.t("languagesTitle"),
+    languages.length
+      ? languages
+          .map((lang) => `${lang.name}: ${formatPercent(lang.percent, i18n)}`)
+          .join(", ")
+      : i18n.t("noLanguageData")
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" direction="${i18n.dir}" ${a11y.attrs}>
+  ${a11y.elements}
+  <style>
+    ${animationCss(
+      `@keyframes fadein {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }`,
+      animation
+    )}
+    ${themeCss(theme)}
+  </style>
+  <rect x="0.5" y="0.5" rx="4.5" width="${WIDTH - 1}" height="${HEIGHT - 1}" class="fill-background stroke-border" stroke-width="1"/>
+  <text x="${x(25)}" y="35" class="fill-title" font-size="18" font-weight="600" ${FONT}>${i18n.t("languagesTitle")}</text>
+  <g transform="translate(25, 55)"${animationAttr("fadein 0.5s ease-in-out both 200ms", animation)}>
+    ${content.body}
+  </g>
+</svg>`;
+}
+
+// The languages shown, from a contributors dataset
+function topLanguages(data, options) {
+  const repos = filterRepos(
+    aggregateRepos(data, resolveWeights(options.weights)),
+    parseLogins(data.login)
+  );
+  return computeLanguages(repos, options);
+}
+
+// Render the card from a contributors dataset
+function render(data, options, theme) {
+  const languages = topLanguages(data, options);
+  for (const lang of languages) {
+    console.log(`  ${lang.name}: ${lang.percent.toFixed(2)}%`);
+  }
+  return generateSvg(languages, theme, options, createLocale(options.locale));
+}
+
+// Machine-readable summary of the languages shown
+function summary(data, options) {
+  return {
+    languages: topLanguages(data, options).map((lang) => ({
+      name: lang.name,
+      color: lang.color,
+      percent: Number(lang.percent.toFixed(2)),
+    })),
+  };
+}
+
+// What changed between two summaries, for the commit message: shares
+// that moved by a tenth of a percentage point or more
+function changes(before, after) {
+  const previous = new Map(
+    before.languages.map((lang) => [lang.name, lang.percent])
+  );
+  return after.languages
+    .map((lang) => {
+      if (!previous.has(lang.name)) return `${lang.name} joins the languages`;
+      const old = previous.get(lang.name);
+      return Math.abs(lang.percent - old) >= 0.1
+        ? `${lang.name} ${old.toFixed(1)}% → ${lang.percent.toFixed(1)}%`
+        : null;
+    })
+    .filter(Boolean);
+}
+
+// shields.io endpoint badge for a summary
+function badges({ languages }) {
+  if (languages.length === 0) return {};
+  const [top] = languages;
+  return {
+    "top-language": {
+      label: "top language",
+      message: `${top.name} ${top.percent.toFixed(1)}%`,
+      color: top.color,
+    },
+  };
+}
+
+const card = {
+  name: "languages",
+  description: "most used languages, weighted by contributions",
+  dataset: "contributors",
+  defaults: {
+    output: "profile/top-langs.svg",
+    theme: "dark",
+    layout: "compact",
+    limit: 8,
+    hide: [],
+    weights: {},
+  },
+  schema: {
+    layout: LAYOUTS,
+    limit: "count",
+    hide: "string[]",
+    weights: "object",
+  },
+  years: () => null,
+  validate: (options) => resolveWeights(options.weights),
+  render,
+  summary,
+  badges,
+  changes,
+};
+
+module.exports = {
+  computeLanguages,
+  generateSvg,
+  card,
+};
+
+// Run directly, the card builds as with `profile-cards.js languages`
+if (require.main === module) {
+  require("./profile-cards").run([card.name, ...process.argv.slice(2)]);
+}
@@ -0,0 +1,309 @@
+// Generates an achievements SVG card from the streak and stats cards' data,
+// replacing the third-party trophy action. Each trophy tracks one metric and
+// is awarded in the contributors card's star tiers (B, B+, A, A+, S, S+)
+// once the metric reaches that tier's threshold.
+//
+// Options (the "trophies" card in profile-cards.config.json):
+//   trophies    trophies shown, in order (default all): contributions,
+//               streak, stars, contributedTo, yearsActive, prs, reviews,
+//               followers
+//   thresholds  { <trophy>: [B, B+, A, A+, S, S+] } overriding the defaults;
+//               shorter lists award only the lower tiers
+//   columns     trophies per row (default 4)
+//   hideLocked  leave out trophies not yet awarded
+//
+// Rendered by profile-cards.js; see its --help.
+
+const { change } = require("./lib/changes");
+const { createLocale, mirror } = require("./lib/i18n");
+const { accessible, animationCss, animationAttr } = require("./lib/svg");
+const { themeCss } = require("./lib/theme");
+const { RANKS } = require("./generate-contributor-stats");
+const { computeStats } = require("./generate-github-stats");
+const { collectDays, computeStreaks } = require("./generate-streak-stats");
+
+// Trophies in display order: title and unit messages, and the thresholds
+// of each tier
+const TROPHIES = {
+  contributions: {
+    title: "trophyContributions",
+    unit: "contributions",
+    thresholds: [100, 500, 1000, 5000, 10000, 50000],
+  },
+  streak: {
+    title: "trophyStreak",
+    unit: "days",
+    thresholds: [7, 14, 30, 60, 100, 365],
+  },
+  stars: {
+    title: "trophyStars",
+    unit: "stars",
+    thresholds: [10, 50, 100, 500, 1000, 10000],
+  },
+  contributedTo: {
+    title: "trophyContributedTo",
+    unit: "repos",
+    thresholds: [1, 5, 10, 25, 50, 100],
+  },
+  yearsActive: {
+    title: "trophyYearsActive",
+    unit: "years",
+    thresholds: [1, 2, 3, 5, 10, 15],
+  },
+  prs: {
+    title: "trophyPRs",
+    unit: "prs",
+    thresholds: [1, 10, 50, 100, 500, 1000],
+  },
+  reviews: {
+    title: "trophyReviews",
+    unit: "reviews",
+    thresholds: [1, 10, 50, 100, 500, 1000],
+  },
+  followers: {
+    title: "trophyFollowers",
+    unit: "followers",
+    thresholds: [1, 10, 50, 100, 500, 1000],
+  },
+};
+
+// Trophy metrics from a streak dataset and a stats dataset
+function computeMetrics({ streak, stats }) {
+  const days = collectDays(streak);
+  const streaks = computeStreaks(
+    days,
+    new Date(streak.fetchedAt),
+    streak.timeZone || "UTC"
+  );
+  const totals = computeStats(stats);
+  const years = new Set(
+    days.filter((day) => day.count > 0).map((day) => day.date.slice(0, 4))
+  );
+  return {
+    contributions: streaks.totalContributions,
+    streak: streaks.longestStreak,
+    stars: totals.stars,
+    contributedTo: totals.contributedTo,
+    yearsActive: years.size,
+    prs: totals.prs,
+    reviews: totals.reviews,
+    followers: totals.followers,
+  };
+}
+
+// The highest tier `value` reaches, with the threshold of the next one.
+// Locked trophies get a "?" tier without a color.
+function awardTier(value, thresholds) {
+  let tier = null;
+  thresholds.forEach((threshold, i) => {
+    if (value >= threshold) tier = { ...RANKS[i], next: thresholds[i + 1] };
+  });
+  return tier || { label: "?", color: null, next: thresholds[0] };
+}
+
+// Award each trophy: [{ key, title, unit, value, tier }]
+function awardTrophies(metrics, { trophies, thresholds = {} }) {
+  return trophies.map((key) => ({
+    key,
+    ...TROPHIES[key],
+    value: metrics[key],
+    tier: awardTier(metrics[key], thresholds[key] || TROPHIES[key].thresholds),
+  }));
+}
+
+// Trophy cup on a 32x32 grid
+const CUP_PATH = `M8 2h16v10a8 8 0 0 1-16 0z M8 4H3v3a6 6 0 0 0 5.5 6l.5-2.2A3.8 3.8 0 0 1 5.2 7V6.2H8z M24 4h5v3a6 6 0 0 1-5.5 6l-.5-2.2A3.8 3.8 0 0 0 26.8 7V6.2H24z M14 19h4v5h-4z M9 25h14v4H9z`;
+
+// Right-to-left locales fill rows from the right
+function generateSvg(
+  trophies,
+  theme,
+  { login, columns = 4, animation = true },
+  i18n = createLocale()
+) {
+  const CELL_WIDTH = 110;
+  const CELL_HEIGHT = 120;
+  const GAP = 10;
+  const PADDING = 20;
+  const TOP = 50;
+  const FONT = `font-family="'Segoe UI', Ubuntu, Sans-Serif"`;
+  const cols = Math.max(1, Math.min(columns, trophies.length));
+  const rows = Math.ceil(trophies.length / cols);
+  const WIDTH = PADDING * 2 + cols * CELL_WIDTH + (cols - 1) * GAP;
+  const HEIGHT = TOP + rows * (CELL_HEIGHT + GAP) - GAP + PADDING;
+  const center = CELL_WIDTH / 2;
+  const mirrored = mirror(WIDTH, i18n.rtl);
+
+  const cells = trophies
+    .map((trophy, i) => {
+      const x = mirrored(PADDING + (i % cols) * (CELL_WIDTH + GAP), CELL_WIDTH);
+      const y = TOP + Math.floor(i / cols) * (CELL_HEIGHT + GAP);
+      const { tier } = trophy;
+      // Locked trophies are drawn in the muted color
+      const paint = tier.color ? `fill="${tier.color}"` : `class="fill-muted"`;
+      const title = i18n.t(trophy.title);
+      const value = i18n.t(trophy.unit, { n: trophy.value });
+      const next = tier.next
+        ? i18n.t("nextTier", { n: i18n.number(tier.next) })
+        : i18n.t("topTier");
+      return `
+    <g transform="translate(${x}, ${y})"${animationAttr(`fadein 0.3s ease-in-out both ${(i + 2) * 100}ms`, animation)}>
+      <title>${title}: ${value} (${next})</title>
+      <rect width="${CELL_WIDTH}" height="${CELL_HEIGHT}" rx="6" class="stroke-divider" fill="none" stroke-width="1"/>
+      <g transform="translate(${center - 16}, 12)"${tier.color ? "" : ` opacity="0.4"`}>
+        <path d="${CUP_PATH}" ${paint}/>
+      </g>
+      <rect x="${center - 20}" y="48" width="40" height="20" rx="10" ${paint} opacity="0.15"/>
+      <text x="${center}" y="62" text-anchor="middle" ${paint} font-size="12" font-weight="700" ${FONT}>${tier.label}</text>
+      <text x="${center}" y="88" text-anchor="middle" class="fill-text" font-size="12" font-weight="600" ${FONT}>${title}</text>
+      <text x="${center}" y="106" text-anchor="middle" class="fill-muted" font-size="11" ${FONT}>${value}</text>
+    </g>`;
+    })
+    .join("");
+
+  const title = i18n.t("trophiesTitle", { name: login.split(",").join(" + ") });
+  const a11y = accessible(
+    "trophies",
+    title,
+    trophies
+      .map(
+        (trophy) =>
+          `${i18n.t(trophy.title)}: ${i18n.t(trophy.unit, { n: trophy.value })} (${trophy.tier.label})`
+      )
+      .join(". ")
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" direction="${i18n.dir}" ${a11y.attrs}>
+  ${a11y.elements}
+  <style>
+    ${animationCss(
+      `@keyframes fadein {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }`,
+      animation
+    )}
+    ${themeCss(theme)}
+  </style>
+  <rect x="0.5" y="0.5" rx="4.5" width="${WIDTH - 1}" height="${HEIGHT - 1}" class="fill-background stroke-border" stroke-width="1"/>
+  <text x="${mirrored(PADDING)}" y="32" class="fill-title" font-size="18" font-weight="600" ${FONT}>${title}</text>${cells}
+</svg>`;
+}
+
+// Render the card from the streak and stats datasets
+function render(data, options, theme) {
+  const i18n = createLocale(options.locale);
+  const trophies = awardTrophies(computeMetrics(data), options);
+  for (const trophy of trophies) {
+    console.log(
+      `  ${i18n.t(trophy.title)}: ${i18n.t(trophy.unit, { n: trophy.value })} (${trophy.tier.label})`
+    );
+  }
+  const shown = options.hideLocked
+    ? trophies.filter((trophy) => trophy.tier.color)
+    : trophies;
+  if (shown.length === 0) {
+    console.warn("No trophies awarded yet. Showing every locked trophy.");
+  }
+  return generateSvg(
+    shown.length ? shown : trophies,
+    theme,
+    { ...options, login: data.stats.login },
+    i18n
+  );
+}
+
+// Machine-readable summary of the trophies and their tiers, not localized
+function summary(data, options) {
+  const i18n = createLocale();
+  return {
+    trophies: awardTrophies(computeMetrics(data), options).map((trophy) => ({
+      key: trophy.key,
+      title: i18n.t(trophy.title),
+      value: trophy.value,
+      tier: trophy.tier.color ? trophy.tier.label : null,
+      next: trophy.tier.next ?? null,
+    })),
+  };
+}
+
+// What changed between two summaries, for the commit message: trophies
+// that moved up (or down) a tier
+function changes(before, after) {
+  const previous = new Map(
+    before.trophies.map((trophy) => [trophy.key, trophy.tier])
+  );
+  return after.trophies
+    .filter((trophy) => previous.has(trophy.key))
+    .map((trophy) =>
+      change(
+        `${trophy.title} trophy`,
+        previous.get(trophy.key) || "locked",
+        trophy.tier || "locked"
+      )
+    )
+    .filter(Boolean);
+}
+
+const card = {
+  name: "trophies",
+  description: "achievements awarded in tiers",
+  dataset: ["streak", "stats"],
+  defaults: {
+    output: "profile/trophy.svg",
+    theme: "dark",
+    trophies: Object.keys(TROPHIES),
+    thresholds: {},
+    columns: 4,
+    hideLocked: false,
+  },
+  schema: {
+    trophies: "string[]",
+    thresholds: "object",
+    columns: "count",
+    hideLocked: "boolean",
+  },
+  years: () => null,
+  validate: ({ trophies, thresholds, columns }) => {
+    const keys = Object.keys(TROPHIES);
+    for (const key of [...trophies, ...Object.keys(thresholds)]) {
+      if (!keys.includes(key)) {
+        throw new Error(
+          `trophies: unknown trophy "${key}" (expected ${keys.join(", ")})`
+        );
+      }
+    }
+    for (const [key, list] of Object.entries(thresholds)) {
+      const valid =
+        Array.isArray(list) &&
+        list.length > 0 &&
+        list.length <= RANKS.length &&
+        list.every(
+          (n, i) => Number.isFinite(n) && n > 0 && (i === 0 || n > list[i - 1])
+        );
+      if (!valid) {
+        throw new Error(
+          `trophies: thresholds.${key} must be 1 to ${RANKS.length} increasing positive numbers`
+        );
+      }
+    }
+    if (columns < 1) throw new Error("trophies: columns must be at least 1");
+  },
+  render,
+  summary,
+  changes,
+};
+
+module.exports = {
+  TROPHIES,
+  computeMetrics,
+  awardTier,
+  awardTrophies,
+  generateSvg,
+  card,
+};
+
+// Run directly, the card builds as with `profile-cards.js trophies`
+if (require.main === module) {
+  require("./profile-cards").run([card.name, ...process.argv.slice(2)]);
+}
@@ -0,0 +1,47 @@
+// Minimal command-line parser shared by the card generators.
+//
+// Supports positional arguments plus `--flag value`, `--flag=value`,
+// `--flag` (true) and `--no-flag` (false). Flags listed in `booleans`
+// never consume the following argument.
+
+function parseArgs(argv, { booleans = [] } = {}) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--") || arg === "--") {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (name.startsWith("no-")) {
+      flags[name.slice(3)] = false;
+    } else if (
+      booleans.includes(name) ||
+      i + 1 >= argv.length ||
+      argv[i + 1].startsWith("--")
+    ) {
+      flags[name] = true;
+    } else {
+      flags[name] = argv[++i];
+    }
+  }
+
+  return { positional, flags };
+}
+
+// Split a comma-separated list of logins ("personal,work")
+function parseLogins(value) {
+  return String(value)
+    .split(",")
+    .map((login) => login.trim())
+    .filter(Boolean);
+}
+
+module.exports = { parseArgs, parseLogins };
@@ -0,0 +1,89 @@
+// On-disk cache for fetched GitHub data, shared by the card generators.
+//
+// Entries are keyed by strings such as "streak/<login>/<year>" and record
+// when they were fetched and whether the data is final (a past year).
+// Final entries are reused until they are older than the TTL; non-final
+// entries (the current year) are always refetched. When a fetch fails,
+// any cached entry is used instead so cards still render if the API is down.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PATH = "profile/cache.json";
+const DEFAULT_TTL_DAYS = 30;
+const VERSION = 6;
+
+function readEntries(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return data.version === VERSION ? data.entries : {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(
+        `  Warning: ignoring unreadable cache ${file}: ${err.message}`
+      );
+    }
+    return {};
+  }
+}
+
+// Open a cache. With `file` unset nothing is read or written. `refresh`
+// treats every entry as stale (but still falls back to it on failure).
+function openCache({ file, ttlDays = DEFAULT_TTL_DAYS, refresh = false } = {}) {
+  const entries = file ? readEntries(file) : {};
+  const ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+  let dirty = false;
+
+  function isFresh(entry) {
+    return (
+      !refresh &&
+      entry.final &&
+      Date.now() - Date.parse(entry.fetchedAt) < ttlMs
+    );
+  }
+
+  // Return the cached value for `key`, calling `fetch` when it is missing
+  // or stale. `final` marks data that will not change once fetched.
+  async function cached(key, { final }, fetch) {
+    const entry = entries[key];
+    if (entry && isFresh(entry)) return entry.value;
+
+    try {
+      const value = await fetch();
+      entries[key] = { fetchedAt: new Date().toISOString(), final, value };
+      dirty = true;
+      return value;
+    } catch (err) {
+      if (!entry) throw err;
+      console.warn(
+        `  Warning: ${err.message}; using cached ${key} from ${entry.fetchedAt}`
+      );
+      return entry.value;
+    }
+  }
+
+  // Drop the entries under `prefix` that `keep(key)` rejects, e.g. months
+  // that fell out of the range still charted
+  function prune(prefix, keep) {
+    for (const key of Object.keys(entries)) {
+      if (key.startsWith(prefix) && !keep(key)) {
+        delete entries[key];
+        dirty = true;
+      }
+    }
+  }
+
+  function save() {
+    if (!file || !dirty) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ version: VERSION, entries }) + "\n"
+    );
+    dirty = false;
+  }
+
+  return { cached, prune, save };
+}
+
+module.exports = { DEFAULT_PATH, DEFAULT_TTL_DAYS, openCache };
@@ -0,0 +1,106 @@
+// Change-aware card writes. Next to each SVG the card's options and summary
+// are stored with a fingerprint of the SVG (<output>.data.json). A card is
+// rewritten only when any differs from the previous run's: its data
+// changed, or its options or renderer changed what it draws. Whitespace
+// alone does not count. New options make a redraw rather than changes in
+// the data, since some (e.g. the streak mode) change the summary's numbers.
+//
+// Cards describe what changed between two of their summaries with
+// `changes(before, after)`, e.g. ["current streak 12 → 13"]; the lines of
+// every card make the commit message (--changes <file>).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { writeOutput } = require("./dataset");
+const { createLocale } = require("./i18n");
+
+// The commit message's subject when its changes do not fit on the line
+const SUBJECT = "Update profile cards";
+const SUBJECT_LENGTH = 72;
+
+function stateFile(output) {
+  return `${output.replace(/\.svg$/, "")}.data.json`;
+}
+
+function fingerprint(svg) {
+  const normalized = svg.replace(/>\s+</g, "><").replace(/\s+/g, " ").trim();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// `value` with the keys of its objects sorted, so that options compare
+// equal however they were listed
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((key) => [key, sortKeys(value[key])])
+  );
+}
+
+function readState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Write `svg` to `output` unless neither it, `summary` nor `options`
+// changed meaningfully. Returns { written, previous, redrawn }, `previous`
+// being the stored state ({ options, fingerprint, summary }) or null on the
+// first run, and `redrawn` whether a written card shows the same data or
+// was drawn with other options.
+function writeCard(output, svg, summary = null, options = {}) {
+  const file = stateFile(output);
+  const previous = readState(file);
+  const state = {
+    options: sortKeys(options),
+    fingerprint: fingerprint(svg),
+    summary,
+  };
+  if (
+    previous &&
+    fs.existsSync(output) &&
+    JSON.stringify(previous) === JSON.stringify(state)
+  ) {
+    return { written: false, previous, redrawn: false };
+  }
+  writeOutput(output, svg);
+  writeOutput(file, JSON.stringify(state, null, 2) + "\n");
+  const redrawn =
+    previous !== null &&
+    // States stored before options were cannot tell
+    ((previous.options !== undefined &&
+      JSON.stringify(previous.options) !== JSON.stringify(state.options)) ||
+      JSON.stringify(previous.summary) === JSON.stringify(summary));
+  return { written: true, previous, redrawn };
+}
+
+// "current streak 12 → 13", or null when unchanged
+function change(label, before, after) {
+  if (before === after) return null;
+  const format = (value) =>
+    typeof value === "number" ? createLocale().number(value) : value;
+  return `${label} ${format(before)} → ${format(after)}`;
+}
+
+// "+4 contributions", or null when unchanged
+function delta(label, before, after) {
+  const difference = after - before;
+  if (!difference) return null;
+  const sign = difference > 0 ? "+" : "-";
+  return `${sign}${createLocale().number(Math.abs(difference))} ${label}`;
+}
+
+// The commit message for `lines`: a subject listing them when it fits,
+// else a generic subject with the lines as a list below it
+function commitMessage(lines) {
+  if (lines.length === 0) return "";
+  const subject = `${SUBJECT}: ${lines.join(", ")}`;
+  if (subject.length <= SUBJECT_LENGTH) return `${subject}\n`;
+  return `${SUBJECT}\n\n${lines.map((line) => `- ${line}`).join("\n")}\n`;
+}
+
+module.exports = { stateFile, writeCard, change, delta, commitMessage };
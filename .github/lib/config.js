@@ -0,0 +1,210 @@
+// Loading and validation of profile-cards.config.json.
+//
+// {
+//   "users": ["thewtex"],              // or "thewtex"; several are combined
+//   "timezone": "UTC",
+//   "theme": "dark",                   // default theme for every card
+//   "locale": "de",                    // default locale, see lib/i18n.js
+//   "themeFile": "themes.json",        // extra themes, see lib/theme.js
+//   "themes": { "<name>": { ... } },   // extra themes, inline
+//   "colors": { "accent": "#f00" },    // overrides for every card
+//   "cache": { "path": "profile/cache.json", "ttlDays": 30 },  // or false
+//   "readme": "README.md",             // text summaries, see lib/readme.js
+//   "summary": "profile/summary.json", // JSON summary, see lib/summary.js
+//   "badges": "profile/badges",        // shields.io endpoint badges
+//   "cards": {
+//     "streak": { "output": "profile/streak.svg", ... card options }
+//   }
+// }
+//
+// Every card also accepts "theme", "locale", "colors" and "animation"
+// (false renders it without any animation).
+//
+// Unknown keys and values of the wrong type are reported as errors.
+
+const fs = require("fs");
+
+const TOP_LEVEL = {
+  users: "string[]",
+  timezone: "string",
+  theme: "string",
+  locale: "string",
+  themeFile: "string",
+  themes: "object",
+  colors: "object",
+  cache: "cache",
+  readme: "string",
+  summary: "string",
+  badges: "string",
+  cards: "object",
+};
+
+const CACHE = {
+  path: "string",
+  ttlDays: "number",
+};
+
+// Options every card accepts
+const CARD_COMMON = {
+  output: "string",
+  theme: "string",
+  locale: "string",
+  colors: "object",
+  animation: "boolean",
+};
+
+function isType(value, type) {
+  if (Array.isArray(type)) return type.includes(value);
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "count":
+      return Number.isInteger(value) && value >= 0;
+    case "boolean":
+      return typeof value === "boolean";
+    case "string[]":
+      return Array.isArray(value) && value.every((v) => typeof v === "string");
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "object[]":
+      return Array.isArray(value) && value.every((v) => isType(v, "object"));
+    case "cache":
+      return value === false || isType(value, "object");
+    default:
+      throw new Error(`Unknown schema type ${type}`);
+  }
+}
+
+function describe(type) {
+  if (Array.isArray(type))
+    return `one of ${type.map((v) => JSON.stringify(v)).join(", ")}`;
+  if (type === "count") return "a non-negative integer";
+  if (type === "string[]") return "a list of strings";
+  if (type === "object[]") return "a list of objects";
+  if (type === "cache") return "an object or false";
+  return `a${/^[aeiou]/.test(type) ? "n" : ""} ${type}`;
+}
+
+// Check `object` against `schema`, collecting messages in `errors`.
+// `nullable` keys may also be null (e.g. an unset heatmap year).
+function checkKeys(object, schema, where, errors, nullable = []) {
+  for (const [key, value] of Object.entries(object)) {
+    if (!(key in schema)) {
+      errors.push(
+        `${where}: unknown key "${key}" (expected ${Object.keys(schema).join(", ")})`
+      );
+    } else if (
+      !(value === null && nullable.includes(key)) &&
+      !isType(value, schema[key])
+    ) {
+      errors.push(`${where}.${key}: expected ${describe(schema[key])}`);
+    }
+  }
+}
+
+// Check one card's options against its schema and the common options
+function checkCardOptions(options, card, where, errors) {
+  const nullable = Object.keys(card.defaults).filter(
+    (key) => card.defaults[key] === null
+  );
+  checkKeys(
+    options,
+    { ...CARD_COMMON, ...card.schema },
+    where,
+    errors,
+    nullable
+  );
+}
+
+// Validate a parsed config against the known cards; throws listing every
+// problem found.
+function validateConfig(config, cards, where = "config") {
+  const errors = [];
+  if (!isType(config, "object")) {
+    throw new Error(`${where}: expected an object`);
+  }
+  const normalized = { ...config };
+  if (typeof normalized.users === "string")
+    normalized.users = [normalized.users];
+  checkKeys(normalized, TOP_LEVEL, where, errors);
+  if (isType(config.cache, "object")) {
+    checkKeys(config.cache, CACHE, `${where}.cache`, errors);
+  }
+
+  if (isType(config.cards, "object")) {
+    for (const [name, options] of Object.entries(config.cards)) {
+      const card = cards[name];
+      if (!card) {
+        errors.push(
+          `${where}.cards: unknown card "${name}" (expected ${Object.keys(cards).join(", ")})`
+        );
+      } else if (!isType(options, "object")) {
+        errors.push(`${where}.cards.${name}: expected an object`);
+      } else {
+        checkCardOptions(options, card, `${where}.cards.${name}`, errors);
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+  }
+  return normalized;
+}
+
+// Validate one card's options given outside a config file, e.g. as query
+// parameters
+function validateCardOptions(options, card, where = card.name) {
+  const errors = [];
+  checkCardOptions(options, card, where, errors);
+  if (errors.length) {
+    throw new Error(`Invalid options:\n  ${errors.join("\n  ")}`);
+  }
+  return options;
+}
+
+// Read and validate a config file. A missing file is an empty config when
+// `optional` is set.
+function loadConfig(file, cards, { optional = false } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (optional && err.code === "ENOENT") return {};
+    throw err;
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  return validateConfig(config, cards, file);
+}
+
+// Options for one card: its defaults, then global settings, then the
+// card's own entry
+function cardOptions(config, card) {
+  const own = (config.cards && config.cards[card.name]) || {};
+  return {
+    ...card.defaults,
+    ...(config.theme ? { theme: config.theme } : {}),
+    ...(config.locale ? { locale: config.locale } : {}),
+    ...own,
+    colors: { ...config.colors, ...own.colors },
+  };
+}
+
+module.exports = {
+  CARD_COMMON,
+  validateConfig,
+  validateCardOptions,
+  loadConfig,
+  cardOptions,
+};
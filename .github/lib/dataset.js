@@ -0,0 +1,396 @@
+// Datasets: the raw per-year data fetched for a card, optionally saved as
+// JSON so cards can be re-rendered offline (--dump-dir / --from-dir).
+//
+// Shape: { version, card, login, createdAt, fetchedAt, timeZone,
+//          years: { "<year>": <raw> } }
+// `card` names the dataset (several cards may share one). `fetchedAt`
+// stands in for "now" when rendering, so a dataset always renders the same
+// card.
+
+const fs = require("fs");
+const path = require("path");
+const { dateInZone, isoInZone, startOfMonth, startOfYear } = require("./time");
+
+const VERSION = 4;
+
+// Year windows fetched per GraphQL request, and requests in flight at once
+const BATCH_SIZE = 5;
+const CONCURRENCY = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// contributionsCollection lists of the repositories contributed to, keyed
+// by the contribution kind they count
+const BY_REPOSITORY = {
+  commits: "commitContributionsByRepository",
+  prs: "pullRequestContributionsByRepository",
+  issues: "issueContributionsByRepository",
+  reviews: "pullRequestReviewContributionsByRepository",
+};
+// GitHub caps each BY_REPOSITORY list at 100 repositories
+const MAX_REPOSITORIES = 100;
+
+function readDataset(file, card) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.version !== VERSION) {
+    throw new Error(`${file}: unsupported dataset version ${data.version}`);
+  }
+  if (data.card !== card) {
+    throw new Error(
+      `${file}: dataset is for the "${data.card}" card, not "${card}"`
+    );
+  }
+  return data;
+}
+
+function writeDataset(file, data) {
+  writeOutput(
+    file,
+    JSON.stringify({ version: VERSION, ...data }, null, 2) + "\n"
+  );
+}
+
+// Fetch the account creation date
+async function fetchCreatedAt(graphql, login) {
+  const result = await graphql(
+    `
+      query ($login: String!) {
+        user(login: $login) {
+          createdAt
+        }
+      }
+    `,
+    { login }
+  );
+  if (!result.data.user) throw new Error(`GitHub user "${login}" not found`);
+  return result.data.user.createdAt;
+}
+
+// Query several windows of `login` in one request, as aliased
+// contributionsCollection selections of `fields`. Resolves with the
+// collections in the order of `windows` ([{ from, to }]).
+async function queryWindows(graphql, login, windows, fields) {
+  const variables = { login };
+  const params = [];
+  const selections = [];
+  windows.forEach(({ from, to }, i) => {
+    variables[`from${i}`] = from;
+    variables[`to${i}`] = to;
+    params.push(`$from${i}: DateTime!, $to${i}: DateTime!`);
+    selections.push(`w${i}: contributionsCollection(from: $from${i}, to: $to${i}) {
+        ${fields}
+      }`);
+  });
+  const result = await graphql(
+    `query($login: String!, ${params.join(", ")}) {
+    user(login: $login) {
+      ${selections.join("\n      ")}
+    }
+  }`,
+    variables
+  );
+  if (!result.data.user) throw new Error(`GitHub user "${login}" not found`);
+  return windows.map((_, i) => result.data.user[`w${i}`]);
+}
+
+// Call each of `tasks` (functions returning promises), at most `limit` at a
+// time. Tasks may queue more while they run.
+async function runLimited(tasks, limit) {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) await tasks[next++]();
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, tasks.length) }, worker)
+  );
+}
+
+// A window from `from` to `to` with the promise of its raw data
+function deferredWindow(label, from, to) {
+  const window = { label, from, to };
+  window.promise = new Promise((resolve, reject) => {
+    window.resolve = resolve;
+    window.reject = reject;
+  });
+  return window;
+}
+
+// Whether any BY_REPOSITORY list of a window's contributionsCollection hit
+// the cap: fetchWindows' `truncated` for the cards selecting them, so that
+// accounts active in many repositories are split rather than cut short
+function isTruncated(collection) {
+  return Object.values(BY_REPOSITORY).some(
+    (field) => (collection[field] || []).length >= MAX_REPOSITORIES
+  );
+}
+
+// The halves of a window, split at a day boundary, or null for a day
+function splitWindow({ from, to }) {
+  const start = Date.parse(from);
+  const end = Date.parse(to);
+  if (end - start <= DAY_MS) return null;
+  const mid = new Date(
+    start + Math.floor((end - start) / 2 / DAY_MS) * DAY_MS
+  ).toISOString();
+  return [
+    deferredWindow(`${from.slice(0, 10)} - ${mid.slice(0, 10)}`, from, mid),
+    deferredWindow(`${mid.slice(0, 10)} - ${to.slice(0, 10)}`, mid, to),
+  ];
+}
+
+// Fetch `windows` ([{ label, key, final, from, to }]) of `login`, each a
+// contributionsCollection selecting `fields` turned into raw data by
+// `parseWindow(collection, from, to)`. Windows come from the cache under
+// `key` when fresh; the others are fetched `batchSize` per request, a few
+// requests at a time. Windows for which `truncated(collection)` holds (a
+// list hit the API's cap) are split in half, the halves queued with the
+// other requests and their raw data joined by `combine([first, second])`.
+// Resolves with { <label>: <raw> }, leaving out windows that failed.
+async function fetchWindows(
+  graphql,
+  login,
+  cache,
+  windows,
+  { fields, parseWindow, truncated = null, combine, batchSize = BATCH_SIZE }
+) {
+  // Windows the cache cannot answer are queued here as it looks them up
+  const pending = [];
+  const results = windows.map(({ label, key, final, from, to }) =>
+    cache
+      .cached(key, { final }, () => {
+        const window = deferredWindow(label, from, to);
+        pending.push(window);
+        return window.promise;
+      })
+      .then(
+        (value) => [label, value],
+        (err) => {
+          console.warn(`  Warning: failed to fetch ${label}: ${err.message}`);
+          return [label, null];
+        }
+      )
+  );
+
+  const tasks = [];
+  const request = (batch) =>
+    tasks.push(async () => {
+      console.log(
+        `  Fetching ${batch.map(({ label }) => label).join(", ")}...`
+      );
+      let collections;
+      try {
+        collections = await queryWindows(graphql, login, batch, fields);
+      } catch (err) {
+        for (const window of batch) window.reject(err);
+        return;
+      }
+      await Promise.all(
+        batch.map(async (window, i) => {
+          try {
+            if (truncated && truncated(collections[i])) {
+              const halves = splitWindow(window);
+              if (halves) {
+                console.log(
+                  `  Too much data for ${window.label}; splitting it`
+                );
+                Promise.all(halves.map((half) => half.promise)).then(
+                  (values) => window.resolve(combine(values)),
+                  window.reject
+                );
+                request(halves);
+                return;
+              }
+              console.warn(
+                `  Warning: ${window.label} is truncated; some data is missing`
+              );
+            }
+            window.resolve(
+              await parseWindow(collections[i], window.from, window.to)
+            );
+          } catch (err) {
+            window.reject(err);
+          }
+        })
+      );
+    });
+  for (let i = 0; i < pending.length; i += batchSize) {
+    request(pending.slice(i, i + batchSize));
+  }
+  await runLimited(tasks, CONCURRENCY);
+
+  const fetched = {};
+  for (const [label, value] of await Promise.all(results)) {
+    if (value !== null) fetched[label] = value;
+  }
+  cache.save();
+  return fetched;
+}
+
+// Fetch a dataset for `login` by calendar year, from account creation (or
+// `fromYear`) to the current year (or `toYear`), with years delimited in
+// `timeZone`. Each year is a contributionsCollection selecting `fields`,
+// turned into the year's raw data by `parseWindow(collection, from, to)`;
+// see fetchWindows for `truncated` and `combine`. Past years come from the
+// cache when fresh.
+async function fetchYears(
+  graphql,
+  login,
+  cache,
+  {
+    card,
+    timeZone = "UTC",
+    fromYear = -Infinity,
+    toYear = Infinity,
+    fields,
+    parseWindow,
+    truncated,
+    combine,
+    batchSize,
+  }
+) {
+  const createdAt = await cache.cached(
+    `createdAt/${login}`,
+    { final: true },
+    () => fetchCreatedAt(graphql, login)
+  );
+  const now = new Date();
+  const fetchedAt = now.toISOString();
+  const currentYear = Number(dateInZone(now, timeZone).slice(0, 4));
+  const startYear = Math.max(
+    Number(dateInZone(new Date(createdAt), timeZone).slice(0, 4)),
+    fromYear
+  );
+  const endYear = Math.min(currentYear, toYear);
+
+  console.log(
+    `Account ${login} created: ${createdAt} — fetching ${Math.max(endYear - startYear + 1, 0)} years of ${card} data`
+  );
+
+  const windows = [];
+  for (let year = startYear; year <= endYear; year++) {
+    windows.push({
+      label: String(year),
+      key: `${card}/${login}/${timeZone}/${year}`,
+      final: year < currentYear,
+      from: startOfYear(year, timeZone),
+      to:
+        year === currentYear
+          ? isoInZone(now, timeZone)
+          : startOfYear(year + 1, timeZone),
+    });
+  }
+  const years = await fetchWindows(graphql, login, cache, windows, {
+    fields,
+    parseWindow,
+    truncated,
+    combine,
+    batchSize,
+  });
+
+  return { card, login, createdAt, fetchedAt, timeZone, years };
+}
+
+// Fetch the last `months` calendar months of `login` (the current one so
+// far included, none before the account was created) like fetchYears'
+// years. Resolves with { "<YYYY-MM>": <raw> }.
+async function fetchMonths(
+  graphql,
+  login,
+  cache,
+  {
+    card,
+    timeZone = "UTC",
+    months,
+    fields,
+    parseWindow,
+    truncated,
+    combine,
+    batchSize,
+  }
+) {
+  const createdAt = await cache.cached(
+    `createdAt/${login}`,
+    { final: true },
+    () => fetchCreatedAt(graphql, login)
+  );
+  const now = new Date();
+  const today = dateInZone(now, timeZone);
+  const year = Number(today.slice(0, 4));
+  const month = Number(today.slice(5, 7));
+  const created = dateInZone(new Date(createdAt), timeZone).slice(0, 7);
+
+  const windows = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const from = startOfMonth(year, month - i, timeZone);
+    const label = from.slice(0, 7);
+    if (label < created) continue;
+    windows.push({
+      label,
+      key: `${card}/${login}/${timeZone}/${label}`,
+      final: i > 0,
+      from,
+      to:
+        i === 0
+          ? isoInZone(now, timeZone)
+          : startOfMonth(year, month - i + 1, timeZone),
+    });
+  }
+  console.log(`  Fetching ${windows.length} months of recent ${card} data`);
+  return fetchWindows(graphql, login, cache, windows, {
+    fields,
+    parseWindow,
+    truncated,
+    combine,
+    batchSize,
+  });
+}
+
+// Merge datasets fetched for several accounts into one. `mergeYear` combines
+// the per-account raw data of one year. The merged account was created when
+// the earliest of the set was.
+function mergeDatasets(datasets, mergeYear) {
+  if (datasets.length === 1) return datasets[0];
+  const years = {};
+  const allYears = new Set(datasets.flatMap((data) => Object.keys(data.years)));
+  for (const year of allYears) {
+    years[year] = mergeYear(
+      datasets
+        .filter((data) => data.years[year])
+        .map((data) => data.years[year])
+    );
+  }
+  return {
+    ...datasets[0],
+    login: datasets.map((data) => data.login).join(","),
+    createdAt: datasets.map((data) => data.createdAt).sort()[0],
+    years,
+  };
+}
+
+// Stand-in for a private repository's name in fetched data, which is cached
+// and may be committed: its opaque node `id` keeps repositories apart
+// across windows without revealing them, as a digest of the name would not
+function privateName(repository) {
+  return `private/${repository.id}`;
+}
+
+// Write a generated file, creating its directory first
+function writeOutput(file, content) {
+  const dir = path.dirname(file);
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+module.exports = {
+  BY_REPOSITORY,
+  MAX_REPOSITORIES,
+  isTruncated,
+  fetchCreatedAt,
+  fetchYears,
+  fetchMonths,
+  queryWindows,
+  readDataset,
+  writeDataset,
+  mergeDatasets,
+  privateName,
+  writeOutput,
+};
@@ -0,0 +1,146 @@
+// Shared GitHub GraphQL client for the profile card generators.
+//
+// - Query inputs are passed as GraphQL variables, never interpolated.
+// - Transient failures (network errors, 5xx, secondary rate limits) are
+//   retried with exponential backoff, honouring Retry-After and
+//   X-RateLimit-Reset when GitHub sends them.
+// - The endpoint follows GITHUB_GRAPHQL_URL / GITHUB_API_URL so the cards
+//   also work against GitHub Enterprise Server.
+
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_ENDPOINT = "https://api.github.com/graphql";
+const MAX_WAIT_MS = 15 * 60 * 1000;
+
+// Resolve the GraphQL endpoint from the environment. GitHub Actions sets
+// GITHUB_GRAPHQL_URL; GITHUB_API_URL is the REST root (".../api/v3" on GHES).
+function graphqlEndpoint(env = process.env) {
+  if (env.GITHUB_GRAPHQL_URL) return env.GITHUB_GRAPHQL_URL;
+  if (env.GITHUB_API_URL) {
+    const api = env.GITHUB_API_URL.replace(/\/+$/, "");
+    return /\/api\/v3$/.test(api)
+      ? api.replace(/\/v3$/, "/graphql")
+      : `${api}/graphql`;
+  }
+  return DEFAULT_ENDPOINT;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Single POST to the endpoint; resolves with { status, headers, body }
+function post(endpoint, token, userAgent, payload) {
+  const url = new URL(endpoint);
+  const transport = url.protocol === "http:" ? http : https;
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `bearer ${token}`,
+          "Content-Type": "application/json",
+          "User-Agent": userAgent,
+          "Content-Length": Buffer.byteLength(body),
+        },
+      },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, headers: res.headers, body: data })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+// How long to wait before retrying a rate-limited response, or null if the
+// response is not rate limited.
+function rateLimitDelay(res) {
+  const limited =
+    res.status === 429 ||
+    (res.status === 403 && /rate limit/i.test(res.body)) ||
+    /"RATE_LIMITED"/.test(res.body);
+  if (!limited) return null;
+
+  const retryAfter = parseInt(res.headers["retry-after"], 10);
+  if (!Number.isNaN(retryAfter)) return retryAfter * 1000;
+
+  const reset = parseInt(res.headers["x-ratelimit-reset"], 10);
+  if (!Number.isNaN(reset)) return Math.max(reset * 1000 - Date.now(), 1000);
+  return 60 * 1000;
+}
+
+// Create a client. Returns `graphql(query, variables)` resolving with the
+// parsed response body.
+function createClient({
+  token,
+  userAgent = "github-profile-cards",
+  endpoint = graphqlEndpoint(),
+  retries = 4,
+  backoffMs = 1000,
+  log = console,
+} = {}) {
+  return async function graphql(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      let error;
+      try {
+        res = await post(endpoint, token, userAgent, { query, variables });
+      } catch (err) {
+        error = err;
+      }
+
+      let delay = null;
+      if (res) {
+        const remaining = res.headers["x-ratelimit-remaining"];
+        if (remaining !== undefined) {
+          log.log(
+            `  Rate limit: ${remaining}/${res.headers["x-ratelimit-limit"]} remaining`
+          );
+        }
+        delay = rateLimitDelay(res);
+        if (delay === null && res.status >= 500) {
+          error = new Error(`GitHub GraphQL: HTTP ${res.status}`);
+        } else if (delay === null) {
+          let parsed;
+          try {
+            parsed = JSON.parse(res.body);
+          } catch (e) {
+            throw new Error(`GitHub GraphQL: HTTP ${res.status}: ${e.message}`);
+          }
+          if (res.status >= 400 && !parsed.errors) {
+            throw new Error(
+              `GitHub GraphQL: HTTP ${res.status}: ${parsed.message || res.body}`
+            );
+          }
+          if (parsed.errors) throw new Error(JSON.stringify(parsed.errors));
+          return parsed;
+        } else {
+          error = new Error(
+            `GitHub GraphQL: rate limited (HTTP ${res.status})`
+          );
+        }
+      }
+
+      if (attempt >= retries) throw error;
+      if (delay === null) delay = backoffMs * 2 ** attempt;
+      if (delay > MAX_WAIT_MS) throw error;
+      log.warn(
+        `  ${error.message}; retrying in ${Math.ceil(delay / 1000)}s ` +
+          `(attempt ${attempt + 1}/${retries})`
+      );
+      await sleep(delay);
+    }
+  };
+}
+
+module.exports = { createClient, graphqlEndpoint };
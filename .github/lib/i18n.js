@@ -0,0 +1,128 @@
+// Localization of the cards: labels from the translation tables in
+// .github/locales/<language>.json, numbers and dates through Intl.
+//
+// Labels missing from a table (or a language without one) fall back to
+// English; numbers and dates follow the locale either way. Entries with
+// counts are objects keyed by Intl.PluralRules category ("one", "other",
+// ...) and "{name}" placeholders are filled in from `params`.
+//
+// Right-to-left locales (Arabic, Hebrew, ...) render with direction="rtl"
+// and mirrored layouts; see `mirror`.
+
+const fs = require("fs");
+const path = require("path");
+
+const LOCALES_DIR = path.join(__dirname, "..", "locales");
+const DEFAULT_LOCALE = "en";
+
+function loadMessages(language) {
+  const file = path.join(LOCALES_DIR, `${language}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+// Canonicalize a BCP 47 locale such as "pt-BR", throwing if Intl cannot
+// format dates and numbers for it
+function validateLocale(locale) {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(locale);
+  } catch {
+    throw new Error(`Invalid locale "${locale}"`);
+  }
+  if (Intl.DateTimeFormat.supportedLocalesOf(canonical).length === 0) {
+    throw new Error(`Unsupported locale "${locale}"`);
+  }
+  return canonical;
+}
+
+function fill(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+function createLocale(locale = DEFAULT_LOCALE) {
+  locale = validateLocale(locale);
+  const intl = new Intl.Locale(locale);
+  const messages = {
+    ...loadMessages(DEFAULT_LOCALE),
+    ...loadMessages(intl.language),
+    ...loadMessages(locale),
+  };
+  const textInfo = intl.getTextInfo ? intl.getTextInfo() : intl.textInfo;
+  const rtl = (textInfo && textInfo.direction) === "rtl";
+
+  const numbers = new Intl.NumberFormat(locale);
+  const compact = new Intl.NumberFormat(locale, {
+    notation: "compact",
+    maximumFractionDigits: 1,
+  });
+  const plurals = new Intl.PluralRules(locale);
+  const dates = new Intl.DateTimeFormat(locale, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+  const shortDates = new Intl.DateTimeFormat(locale, {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+  const months = new Intl.DateTimeFormat(locale, {
+    month: "short",
+    timeZone: "UTC",
+  });
+  const monthYears = new Intl.DateTimeFormat(locale, {
+    year: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+  const weekdays = new Intl.DateTimeFormat(locale, {
+    weekday: "short",
+    timeZone: "UTC",
+  });
+  const utc = (dateStr) => new Date(dateStr + "T00:00:00Z");
+
+  const i18n = {
+    locale,
+    rtl,
+    dir: rtl ? "rtl" : "ltr",
+    // "Total Contributions"; "{n} days" picks the plural form for `params.n`
+    // and formats it with `params.format` (default `number`)
+    t(key, params = {}) {
+      let message = messages[key];
+      if (message === undefined) throw new Error(`No message "${key}"`);
+      if (typeof message === "object") {
+        const n = params.n === undefined ? 1 : params.n;
+        message = message[plurals.select(n)] || message.other;
+        params = { ...params, n: (params.format || i18n.number)(n) };
+      }
+      return fill(message, params);
+    },
+    // 1,234 / 1.234
+    number: (n) => numbers.format(n),
+    // 1.2K
+    compact: (n) => compact.format(n),
+    // Jan 5, 2019 for "2019-01-05"
+    date: (dateStr) => dates.format(utc(dateStr)),
+    // Jan 5
+    dateShort: (dateStr) => shortDates.format(utc(dateStr)),
+    // Short month name, 0 = January
+    month: (i) => months.format(Date.UTC(2000, i, 1)),
+    // Mar 2026 for "2026-03"
+    monthYear: (monthStr) => monthYears.format(utc(`${monthStr}-01`)),
+    // Short weekday name, 0 = Sunday (Jan 2, 2000 was a Sunday)
+    weekday: (i) => weekdays.format(Date.UTC(2000, 0, 2 + i)),
+  };
+  return i18n;
+}
+
+// Horizontal position mirrored for right-to-left layouts: `x` of a box
+// `width` wide in a card (or group) `size` wide. Text anchors need no
+// change, since "start" and "end" follow the SVG's direction.
+function mirror(size, rtl) {
+  return (x, width = 0) => (rtl ? size - x - width : x);
+}
+
+module.exports = { DEFAULT_LOCALE, validateLocale, createLocale, mirror };
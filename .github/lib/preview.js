@@ -0,0 +1,152 @@
+// Local preview server: renders cards on request, so options can be tried
+// without editing the config or waiting for the workflow.
+//
+//   /streak.svg?user=thewtex&theme=light&locale=de
+//   /contributors.svg?limit=8&breakdown=true
+//   /languages.svg?layout=donut&hide=html,css
+//   /                                 every card side by side
+//
+// Query parameters are card options (see lib/config.js) converted by the
+// card's schema: lists are comma-separated, and objects such as `colors`
+// and lists of objects such as `ranks` are JSON. `user` selects the
+// accounts. The index page passes its parameters on to each card that
+// accepts them.
+
+const http = require("http");
+const { parseLogins } = require("./args");
+const { CARD_COMMON, validateCardOptions } = require("./config");
+const { escapeXml } = require("./svg");
+
+function parseValue(value, type) {
+  switch (type) {
+    case "boolean":
+      return value === "" || value === "true"
+        ? true
+        : value === "false"
+          ? false
+          : value;
+    case "number":
+    case "integer":
+    case "count":
+      return value.trim() === "" ? value : Number(value);
+    case "string[]":
+      return value ? value.split(",").map((item) => item.trim()) : [];
+    case "object":
+    case "object[]":
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+// { logins, options } from a card's query parameters. `output` is ignored:
+// nothing is written.
+function parseQuery(params, card) {
+  const schema = { ...CARD_COMMON, ...card.schema };
+  const options = {};
+  let logins = null;
+  for (const [key, value] of params) {
+    if (key === "user") logins = parseLogins(value);
+    else if (key !== "output") options[key] = parseValue(value, schema[key]);
+  }
+  validateCardOptions(options, card, `${card.name}.svg`);
+  return { logins, options };
+}
+
+// The index's parameters a card accepts
+function cardParams(params, card) {
+  const accepted = [
+    "user",
+    ...Object.keys(CARD_COMMON),
+    ...Object.keys(card.schema),
+  ];
+  return new URLSearchParams(
+    [...params].filter(([key]) => key !== "output" && accepted.includes(key))
+  );
+}
+
+function indexPage(cards, params) {
+  const images = Object.values(cards)
+    .map((card) => {
+      const query = cardParams(params, card).toString();
+      const src = `/${card.name}.svg${query ? `?${query}` : ""}`;
+      return `<figure>
+      <a href="${escapeXml(src)}"><img src="${escapeXml(src)}" alt="${escapeXml(card.description)}"></a>
+      <figcaption>${escapeXml(card.name)}</figcaption>
+    </figure>`;
+    })
+    .join("\n    ");
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Profile cards preview</title>
+  <style>
+    body { margin: 24px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; background: #f6f8fa; color: #1f2328; }
+    main { display: flex; flex-wrap: wrap; gap: 24px; align-items: flex-start; }
+    figure { margin: 0; }
+    figcaption { margin-top: 4px; font-size: 12px; color: #656d76; }
+  </style>
+</head>
+<body>
+  <main>
+    ${images}
+  </main>
+</body>
+</html>
+`;
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, {
+    "Content-Type": `${type}; charset=utf-8`,
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+// Create the server. `prepare(card, options)` validates the options and
+// returns the card's build; `render(build, logins)` resolves with its SVG,
+// `logins` being null for the default accounts.
+function createPreviewServer({ cards, prepare, render }) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method !== "GET") {
+      send(res, 405, "text/plain", "Method not allowed\n");
+      return;
+    }
+    if (url.pathname === "/") {
+      send(res, 200, "text/html", indexPage(cards, url.searchParams));
+      return;
+    }
+    const match = url.pathname.match(/^\/([\w-]+)\.svg$/);
+    const card = match && cards[match[1]];
+    if (!card) {
+      send(res, 404, "text/plain", `No card at ${url.pathname}\n`);
+      return;
+    }
+
+    let build;
+    let logins;
+    try {
+      const query = parseQuery(url.searchParams, card);
+      logins = query.logins;
+      build = prepare(card, query.options);
+    } catch (err) {
+      send(res, 400, "text/plain", `${err.message}\n`);
+      return;
+    }
+    try {
+      send(res, 200, "image/svg+xml", await render(build, logins));
+    } catch (err) {
+      console.error(`  ${url.pathname}: ${err.message}`);
+      send(res, 500, "text/plain", `${err.message}\n`);
+    }
+  });
+}
+
+module.exports = { createPreviewServer, parseQuery };
@@ -0,0 +1,54 @@
+// Text summaries of the cards in a Markdown file (README.md), between
+// per-card markers:
+//
+//   <!-- profile-cards:streak:start -->
+//   ... replaced on every run ...
+//   <!-- profile-cards:streak:end -->
+//
+// Everything outside the markers is left untouched, and cards without
+// markers in the file are skipped.
+
+const fs = require("fs");
+
+function markers(name) {
+  return [
+    `<!-- profile-cards:${name}:start -->`,
+    `<!-- profile-cards:${name}:end -->`,
+  ];
+}
+
+// Replace the content between the markers of each section in `text`.
+// Returns the new text and the names of the sections found.
+function injectSections(text, sections) {
+  const found = [];
+  for (const [name, content] of Object.entries(sections)) {
+    const [start, end] = markers(name);
+    let from = text.indexOf(start);
+    if (from !== -1) found.push(name);
+    while (from !== -1) {
+      const inner = from + start.length;
+      const to = text.indexOf(end, inner);
+      if (to === -1) throw new Error(`${start} has no matching ${end}`);
+      const replacement = `\n${content}\n`;
+      text = text.slice(0, inner) + replacement + text.slice(to);
+      from = text.indexOf(start, inner + replacement.length + end.length);
+    }
+  }
+  return { text, found };
+}
+
+// Inject `sections` ({ <card>: <markdown> }) into `file`, writing it only
+// when something changed. Returns the names of the sections found.
+function updateReadme(file, sections) {
+  const before = fs.readFileSync(file, "utf8");
+  let result;
+  try {
+    result = injectSections(before, sections);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (result.text !== before) fs.writeFileSync(file, result.text);
+  return result.found;
+}
+
+module.exports = { markers, injectSections, updateReadme };
@@ -0,0 +1,57 @@
+// Machine-readable outputs, so other sites and dashboards can use the
+// cards' numbers without querying GitHub again:
+//
+// - a JSON summary: { login, fetchedAt, cards: { <card>: <summary> } }
+// - shields.io endpoint badges, one JSON file each, e.g.
+//   https://img.shields.io/endpoint?url=<raw URL of current-streak.json>
+
+const fs = require("fs");
+const { writeOutput } = require("./dataset");
+
+// Write the summary unless only its `fetchedAt` would change. `cards` are
+// merged into the file's, so a run building some cards keeps the others':
+// only the entries of cards no longer `configured` (names) are dropped.
+// Returns whether it was written.
+function writeSummary(file, { login, fetchedAt, cards }, configured) {
+  let previous = null;
+  try {
+    previous = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    // Missing or unreadable: write it afresh
+  }
+  const kept = previous && previous.login === login ? previous.cards : {};
+  const merged = {};
+  for (const name of new Set([...configured, ...Object.keys(cards)])) {
+    if (name in cards) merged[name] = cards[name];
+    else if (kept && name in kept) merged[name] = kept[name];
+  }
+  if (
+    previous &&
+    JSON.stringify({ login: previous.login, cards: previous.cards }) ===
+      JSON.stringify({ login, cards: merged })
+  ) {
+    return false;
+  }
+  writeOutput(
+    file,
+    JSON.stringify({ login, fetchedAt, cards: merged }, null, 2) + "\n"
+  );
+  return true;
+}
+
+// Write each badge as <dir>/<name>.json. Badges without a color of their
+// own use `color`. shields.io takes hex colors without the "#".
+function writeBadges(dir, badges, color) {
+  for (const [name, badge] of Object.entries(badges)) {
+    const json = {
+      schemaVersion: 1,
+      label: badge.label,
+      message: badge.message,
+      color: (badge.color || color).replace(/^#/, ""),
+    };
+    writeOutput(`${dir}/${name}.json`, JSON.stringify(json, null, 2) + "\n");
+  }
+  return Object.keys(badges);
+}
+
+module.exports = { writeSummary, writeBadges };
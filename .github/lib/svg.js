@@ -0,0 +1,42 @@
+// Building blocks shared by the cards' SVGs: an accessible name and
+// description, and fade-in animations that honour prefers-reduced-motion.
+//
+// Animated elements fill backwards from their first keyframe instead of
+// starting at opacity 0, so renderers that do not animate (and readers who
+// prefer reduced motion) see the finished card. With `animation: false`
+// cards are fully static.
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Attributes for the root <svg> and the <title>/<desc> elements that
+// follow it. `id` keeps the references unique when SVGs are inlined.
+function accessible(id, title, desc) {
+  return {
+    attrs: `role="img" aria-labelledby="${id}-title ${id}-desc"`,
+    elements: `<title id="${id}-title">${escapeXml(title)}</title>
+  <desc id="${id}-desc">${escapeXml(desc)}</desc>`,
+  };
+}
+
+const REDUCED_MOTION = `@media (prefers-reduced-motion: reduce) {
+      * { animation: none !important; }
+    }`;
+
+// `keyframes` CSS plus the reduced-motion override, or nothing when static
+function animationCss(keyframes, animate = true) {
+  return animate ? `${keyframes}\n    ${REDUCED_MOTION}` : "";
+}
+
+// A style attribute (with its leading space) running `animation`, or
+// nothing when static
+function animationAttr(animation, animate = true) {
+  return animate ? ` style="animation: ${animation}"` : "";
+}
+
+module.exports = { escapeXml, accessible, animationCss, animationAttr };
@@ -0,0 +1,71 @@
+// Text measurement from bundled font metrics, so cards can fit labels by
+// pixel width rather than by character count.
+//
+// The cards' font stacks (Segoe UI, Ubuntu, Helvetica, Arial) are measured
+// with Helvetica's advance widths, which Arial shares and which run a little
+// wider than Segoe UI and Ubuntu: text that fits here fits when rendered.
+
+// Advance widths of ASCII 32-126 in 1/1000 em
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+    584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+    556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+    500, 389, 280, 389, 584,
+  ],
+};
+
+// CJK and fullwidth characters take a full em; anything else outside the
+// tables is counted as an average lowercase letter
+const WIDE =
+  /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/u;
+const DEFAULT_WIDTH = 556;
+
+const ELLIPSIS = "…";
+const ELLIPSIS_WIDTH = 1000;
+
+function charWidth(char, table) {
+  const code = char.codePointAt(0);
+  if (code >= 32 && code <= 126) return table[code - 32];
+  // Combining marks, split off accented letters below
+  if (/\p{M}/u.test(char)) return 0;
+  if (char === ELLIPSIS) return ELLIPSIS_WIDTH;
+  return WIDE.test(char) ? 1000 : DEFAULT_WIDTH;
+}
+
+// Width in pixels of `text` at font `size`; weights of 600 and up are bold
+function measureText(text, { size = 14, weight = 400 } = {}) {
+  const table = weight >= 600 ? WIDTHS.bold : WIDTHS.regular;
+  let width = 0;
+  for (const char of String(text).normalize("NFD")) {
+    width += charWidth(char, table);
+  }
+  return (width * size) / 1000;
+}
+
+// `text`, cut short with an ellipsis if it is wider than `maxWidth` pixels
+function truncateText(text, maxWidth, font = {}) {
+  if (measureText(text, font) <= maxWidth) return text;
+  const chars = [...String(text)];
+  while (
+    chars.length &&
+    measureText(chars.join("") + ELLIPSIS, font) > maxWidth
+  ) {
+    chars.pop();
+  }
+  return chars.join("").trimEnd() + ELLIPSIS;
+}
+
+module.exports = { measureText, truncateText };
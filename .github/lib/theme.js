@@ -0,0 +1,163 @@
+// Shared theme engine for the profile card generators.
+//
+// A theme is a flat palette of named colors. Cards never hard-code colors:
+// they reference palette keys through the `fill-<key>` / `stroke-<key>`
+// classes emitted by themeCss(), so every card picks up the same palette.
+//
+// The special "auto" theme pairs a light and a dark palette and switches
+// between them with a prefers-color-scheme media query inside the SVG.
+
+const fs = require("fs");
+
+const PALETTE_KEYS = [
+  "background",
+  "border",
+  "divider",
+  "title",
+  "text",
+  "muted",
+  "accent",
+];
+
+const THEMES = {
+  // Original streak card palette
+  dark: {
+    background: "#151515",
+    border: "#E4E2E2",
+    divider: "#E4E2E2",
+    title: "#FEFEFE",
+    text: "#FEFEFE",
+    muted: "#9E9E9E",
+    accent: "#FB8C00",
+  },
+  light: {
+    background: "#FFFEFE",
+    border: "#E4E2E2",
+    divider: "#E4E2E2",
+    title: "#151515",
+    text: "#151515",
+    muted: "#464646",
+    accent: "#FB8C00",
+  },
+  // Original contributor card palette
+  "github-dark": {
+    background: "#0d1117",
+    border: "#30363d",
+    divider: "#21262d",
+    title: "#c9d1d9",
+    text: "#c9d1d9",
+    muted: "#8b949e",
+    accent: "#58a6ff",
+  },
+  "github-light": {
+    background: "#ffffff",
+    border: "#d0d7de",
+    divider: "#d8dee4",
+    title: "#24292f",
+    text: "#24292f",
+    muted: "#57606a",
+    accent: "#0969da",
+  },
+  auto: {
+    light: "github-light",
+    dark: "github-dark",
+  },
+};
+
+// Load user-defined themes from a JSON file of the form
+// { "<name>": { "extends": "<base>", "<key>": "<color>", ... } }
+function loadThemeFile(path) {
+  const themes = JSON.parse(fs.readFileSync(path, "utf8"));
+  if (!themes || typeof themes !== "object" || Array.isArray(themes)) {
+    throw new Error(`Theme file ${path} must contain an object of themes`);
+  }
+  return themes;
+}
+
+function resolvePalette(name, themes, seen = []) {
+  if (seen.includes(name)) {
+    throw new Error(`Theme "${name}" extends itself: ${seen.join(" -> ")}`);
+  }
+  const def = themes[name];
+  if (!def) {
+    throw new Error(
+      `Unknown theme "${name}" (available: ${Object.keys(themes).join(", ")})`
+    );
+  }
+  if (def.light || def.dark) {
+    throw new Error(`Theme "${name}" is a light/dark pair, not a palette`);
+  }
+  const base = def.extends
+    ? resolvePalette(def.extends, themes, [...seen, name])
+    : THEMES.dark;
+  const palette = { ...base };
+  for (const [key, value] of Object.entries(def)) {
+    if (key === "extends") continue;
+    if (!PALETTE_KEYS.includes(key)) {
+      throw new Error(`Theme "${name}": unknown color "${key}"`);
+    }
+    palette[key] = value;
+  }
+  return palette;
+}
+
+// Resolve a theme by name. `file` and `themes` add user themes, `overrides`
+// replaces individual colors (applied to both halves of a light/dark pair).
+// Returns { name, colors, dark } where `dark` is set only for pairs.
+function resolveTheme(
+  name,
+  { file, themes: custom = {}, overrides = {} } = {}
+) {
+  const themes = {
+    ...THEMES,
+    ...(file ? loadThemeFile(file) : {}),
+    ...custom,
+  };
+  const def = themes[name];
+  for (const key of Object.keys(overrides)) {
+    if (!PALETTE_KEYS.includes(key)) {
+      throw new Error(`Unknown theme color "${key}"`);
+    }
+  }
+
+  if (def && (def.light || def.dark)) {
+    return {
+      name,
+      colors: { ...resolvePalette(def.light || "light", themes), ...overrides },
+      dark: { ...resolvePalette(def.dark || "dark", themes), ...overrides },
+    };
+  }
+  return {
+    name,
+    colors: { ...resolvePalette(name, themes), ...overrides },
+    dark: null,
+  };
+}
+
+// CSS for the palette classes. Static themes get literal colors; light/dark
+// pairs go through custom properties swapped by prefers-color-scheme.
+function themeCss(theme) {
+  const classes = (color) =>
+    PALETTE_KEYS.map(
+      (key) =>
+        `.fill-${key} { fill: ${color(key)}; }\n      .stroke-${key} { stroke: ${color(key)}; }`
+    ).join("\n      ");
+
+  if (!theme.dark) {
+    return classes((key) => theme.colors[key]);
+  }
+  const vars = (colors) =>
+    PALETTE_KEYS.map((key) => `--pc-${key}: ${colors[key]};`).join(" ");
+  return `svg { ${vars(theme.colors)} }
+      @media (prefers-color-scheme: dark) {
+        svg { ${vars(theme.dark)} }
+      }
+      ${classes((key) => `var(--pc-${key})`)}`;
+}
+
+module.exports = {
+  PALETTE_KEYS,
+  THEMES,
+  resolveTheme,
+  themeCss,
+};
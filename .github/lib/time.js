@@ -0,0 +1,114 @@
+// Time zone helpers for the card generators.
+//
+// GitHub assigns contributions to calendar days in the time zone of the
+// `from`/`to` arguments of contributionsCollection, so year windows are
+// expressed as local midnights with an explicit UTC offset, and "today"
+// is the calendar date in the same zone.
+
+function validateTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (err) {
+    throw new Error(
+      `Unknown time zone "${timeZone}" (expected an IANA name such as America/New_York)`
+    );
+  }
+  return timeZone;
+}
+
+// Wall-clock fields of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const fields = {};
+  for (const part of parts) {
+    if (part.type !== "literal") fields[part.type] = Number(part.value);
+  }
+  return fields;
+}
+
+// Offset of `timeZone` from UTC at `date`, in minutes
+function offsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Calendar date ("YYYY-MM-DD") of `date` in `timeZone`
+function dateInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// `date` as an ISO 8601 timestamp with the zone's local time and offset
+function isoInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return (
+    `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    formatOffset(offsetMinutes(date, timeZone))
+  );
+}
+
+// Local midnight starting day 1 of `month` (1-12, overflowing into the
+// next years) of `year` in `timeZone`, as ISO 8601
+function startOfMonth(year, month, timeZone) {
+  const midnight = Date.UTC(year, month - 1, 1);
+  let instant = midnight;
+  // Two passes settle the offset even across a DST change
+  for (let i = 0; i < 2; i++) {
+    instant = midnight - offsetMinutes(new Date(instant), timeZone) * 60000;
+  }
+  return isoInZone(new Date(instant), timeZone);
+}
+
+// Local midnight starting January 1 of `year` in `timeZone`, as ISO 8601
+function startOfYear(year, timeZone) {
+  return startOfMonth(year, 1, timeZone);
+}
+
+// The `count` calendar months ("YYYY-MM") up to and including that of
+// `date` in `timeZone`, oldest first
+function lastMonths(date, count, timeZone) {
+  const [year, month] = dateInZone(date, timeZone).split("-").map(Number);
+  const months = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const index = year * 12 + month - 1 - i;
+    months.push(`${pad(Math.floor(index / 12), 4)}-${pad((index % 12) + 1)}`);
+  }
+  return months;
+}
+
+module.exports = {
+  validateTimeZone,
+  dateInZone,
+  isoInZone,
+  lastMonths,
+  startOfMonth,
+  startOfYear,
+};
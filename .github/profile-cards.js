@@ -0,0 +1,571 @@
+// Builds the profile cards declared in profile-cards.config.json.
+//
+// Usage: GITHUB_TOKEN=<token> node .github/profile-cards.js <command> [options]
+// Run with --help for the commands and options; node --test .github/test/
+// runs the tests.
+//
+// The data each card needs is fetched once and shared: the streak and
+// heatmap cards render from the same contribution calendars, and the
+// trophies card from the streak and stats cards' data.
+
+const { parseArgs, parseLogins } = require("./lib/args");
+const { DEFAULT_PATH, DEFAULT_TTL_DAYS, openCache } = require("./lib/cache");
+const { writeCard, commitMessage } = require("./lib/changes");
+const {
+  CARD_COMMON,
+  loadConfig,
+  cardOptions,
+  validateCardOptions,
+} = require("./lib/config");
+const { readDataset, writeDataset, writeOutput } = require("./lib/dataset");
+const { createClient } = require("./lib/graphql");
+const { validateLocale } = require("./lib/i18n");
+const { createPreviewServer } = require("./lib/preview");
+const { updateReadme } = require("./lib/readme");
+const { writeSummary, writeBadges } = require("./lib/summary");
+const { PALETTE_KEYS, resolveTheme } = require("./lib/theme");
+const { validateTimeZone, dateInZone } = require("./lib/time");
+const streak = require("./generate-streak-stats");
+const contributors = require("./generate-contributor-stats");
+const heatmap = require("./generate-contribution-heatmap");
+const stats = require("./generate-github-stats");
+const languages = require("./generate-top-languages");
+const trophies = require("./generate-trophies");
+
+const CARDS = {
+  stats: stats.card,
+  streak: streak.card,
+  contributors: contributors.card,
+  heatmap: heatmap.card,
+  languages: languages.card,
+  trophies: trophies.card,
+};
+
+const DATASETS = {
+  stats: stats.dataset,
+  streak: streak.dataset,
+  contributors: contributors.dataset,
+};
+
+const DEFAULT_CONFIG = "profile-cards.config.json";
+const DEFAULT_PORT = 3000;
+
+// Flags overriding an option of every card that has it
+const OPTION_FLAGS = {
+  locale: "locale",
+  theme: "theme",
+  animation: "animation",
+  mode: "mode",
+  "gap-days": "gapDays",
+};
+
+const FLAGS = [
+  ...Object.keys(OPTION_FLAGS),
+  ...PALETTE_KEYS.map((key) => `color-${key}`),
+  "help",
+  "config",
+  "user",
+  "timezone",
+  "theme-file",
+  "from-dir",
+  "dump-dir",
+  "from-json",
+  "dump-json",
+  "readme",
+  "changes",
+  "refresh",
+  "cache",
+  "port",
+];
+
+const HELP = `Usage: node .github/profile-cards.js <command> [options]
+
+Commands:
+${Object.values(CARDS)
+  .map((card) => `  ${card.name.padEnd(14)}${card.description}`)
+  .join("\n")}
+  all           every card in the config (every card if it lists none)
+  serve         preview server rendering cards on request, e.g.
+                http://localhost:${DEFAULT_PORT}/streak.svg?theme=light; see
+                lib/preview.js
+
+Options:
+  --config <file>    config file (default ${DEFAULT_CONFIG}; optional)
+  --user <login,...> override the configured users
+  --locale <locale>  language of every card's labels, dates and numbers,
+                     e.g. de or pt-BR (default the config's, else en)
+  --theme <name>     every card's theme
+  --theme-file <file>
+                     extra themes (see lib/theme.js)
+  --color-<key> <color>
+                     override one theme color, e.g. --color-accent "#f00"
+  --timezone <zone>  IANA time zone of the calendar days, e.g.
+                     America/Denver (default the config's, else UTC)
+  --mode <mode>      streak mode: daily, weekdays or weekly
+  --gap-days <n>     empty days a streak survives in a row
+  --from-dir <dir>   render from datasets saved with --dump-dir, offline
+  --dump-dir <dir>   save the fetched datasets as <dir>/<dataset>.json
+  --from-json <file> render from one dataset saved with --dump-json, offline
+  --dump-json <file> save the fetched dataset as <file>; the cards built must
+                     share one
+  --readme [file]    write text summaries between the cards' markers,
+                     <!-- profile-cards:<card>:start/end -->, in <file>
+                     (default the config's "readme", else README.md)
+  --no-readme        skip the config's "readme"
+  --no-animation     render static cards, without fade-ins
+  --changes <file>   write what changed since the last run to <file> as a
+                     commit message (empty when nothing did)
+  --refresh          refetch everything, ignoring cached years
+  --no-cache         neither read nor write the cache
+  --port <port>      serve's port (default ${DEFAULT_PORT})
+  --help             show this help
+
+Fetching needs GITHUB_TOKEN; GITHUB_GRAPHQL_URL or GITHUB_API_URL select a
+GitHub Enterprise Server endpoint. Without it, serve renders from the cache
+(or --from-dir).`;
+
+// Cards the command builds
+function selectCards(command, config) {
+  if (command === "all") {
+    const names = config.cards ? Object.keys(config.cards) : Object.keys(CARDS);
+    return names.map((name) => CARDS[name]);
+  }
+  if (!CARDS[command]) {
+    throw new Error(`Unknown command "${command}" (see --help)`);
+  }
+  return [CARDS[command]];
+}
+
+// Names of the datasets a card renders from: cards built from several
+// datasets list them and receive { <name>: <dataset> }
+function datasetNames(card) {
+  return Array.isArray(card.dataset) ? card.dataset : [card.dataset];
+}
+
+// What a dataset must cover for its cards: the union of the year ranges
+// they need (none for every year since account creation) and, with
+// `months`, the most recent months any of them charts
+function datasetScope(builds, currentYear) {
+  let range = { fromYear: Infinity, toYear: -Infinity };
+  let months = 0;
+  for (const { card, options } of builds) {
+    const years = card.years(options, currentYear);
+    if (!years) range = null;
+    if (range) {
+      range = {
+        fromYear: Math.min(range.fromYear, years.fromYear),
+        toYear: Math.max(range.toYear, years.toYear),
+      };
+    }
+    months = Math.max(months, card.months ? card.months(options) : 0);
+  }
+  return { ...range, ...(months > 0 ? { months } : {}) };
+}
+
+// The dataset a card renders from, or { <name>: <dataset> } for several
+function cardData(card, datasets) {
+  return Array.isArray(card.dataset)
+    ? Object.fromEntries(card.dataset.map((name) => [name, datasets[name]]))
+    : datasets[card.dataset];
+}
+
+// The name of the one dataset `builds` render from, which --from-json and
+// --dump-json `flag` need
+function singleDataset(builds, flag) {
+  const names = [...new Set(builds.flatMap(({ card }) => datasetNames(card)))];
+  if (names.length > 1) {
+    throw new Error(
+      `--${flag} holds one dataset, but the cards built need ${names.join(", ")} (use --${flag.replace("json", "dir")})`
+    );
+  }
+  return names[0];
+}
+
+// Dataset `name` saved with --dump-json, or with --dump-dir
+function loadDataset(flags, name) {
+  const file = flags["from-json"] || `${flags["from-dir"]}/${name}.json`;
+  const data = readDataset(file, name);
+  console.log(`Loaded ${name} data for ${data.login} from ${file}`);
+  return data;
+}
+
+function defaultLogins(config) {
+  return config.users || [process.env.GITHUB_REPOSITORY_OWNER || "thewtex"];
+}
+
+// The client, cache and time zone datasets are fetched with. With
+// `offline` a missing GITHUB_TOKEN leaves only the cache to answer.
+function openSource(config, flags, { offline = false } = {}) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token && !offline) {
+    throw new Error("GITHUB_TOKEN environment variable is required");
+  }
+  const graphql = token
+    ? createClient({ token, userAgent: "github-profile-cards" })
+    : async () => {
+        throw new Error("GITHUB_TOKEN is not set");
+      };
+  const timeZone = validateTimeZone(config.timezone || "UTC");
+  const cacheConfig = config.cache === false ? null : config.cache || {};
+  const cache = openCache({
+    file:
+      flags.cache === false || !cacheConfig
+        ? null
+        : cacheConfig.path || DEFAULT_PATH,
+    ttlDays: (cacheConfig && cacheConfig.ttlDays) || DEFAULT_TTL_DAYS,
+    refresh: flags.refresh === true,
+  });
+  return { graphql, cache, timeZone };
+}
+
+// Fetch dataset `name` for each of `logins` over `scope` (see datasetScope)
+// and combine the accounts
+async function fetchDataset(name, logins, scope, source) {
+  const { graphql, cache, timeZone } = source;
+  const dataset = DATASETS[name];
+  console.log(`Fetching ${name} data for ${logins.join(", ")}...`);
+  const perAccount = [];
+  for (const login of logins) {
+    perAccount.push(
+      await dataset.fetch(graphql, login, cache, timeZone, scope)
+    );
+  }
+  return dataset.merge(perAccount);
+}
+
+// The datasets `builds` render from, by name. One that fails to load is
+// reported and left out, so that the cards of the others still build.
+async function loadDatasets(builds, config, flags) {
+  const names = [...new Set(builds.flatMap(({ card }) => datasetNames(card)))];
+  const saved = flags["from-dir"] || flags["from-json"];
+  const source = saved ? null : openSource(config, flags);
+  const currentYear =
+    source && Number(dateInZone(new Date(), source.timeZone).slice(0, 4));
+  const datasets = {};
+  for (const name of names) {
+    try {
+      datasets[name] = saved
+        ? loadDataset(flags, name)
+        : await fetchDataset(
+            name,
+            defaultLogins(config),
+            datasetScope(
+              builds.filter(({ card }) => datasetNames(card).includes(name)),
+              currentYear
+            ),
+            source
+          );
+    } catch (err) {
+      console.error(`Error: failed to load the ${name} data: ${err.message}`);
+    }
+  }
+  return datasets;
+}
+
+// Reject flags the CLI does not know, as the config loader does keys
+function checkFlags(flags) {
+  for (const flag of Object.keys(flags)) {
+    if (!FLAGS.includes(flag)) {
+      throw new Error(`Unknown option "--${flag}" (see --help)`);
+    }
+  }
+}
+
+// Apply the command line's settings to the config
+function commandConfig(config, flags) {
+  if (flags.user) config.users = parseLogins(flags.user);
+  if (flags.timezone) config.timezone = String(flags.timezone);
+  if (flags["theme-file"]) config.themeFile = String(flags["theme-file"]);
+}
+
+// The option flags given that `card` accepts, converted by its schema
+function flagOptions(card, flags) {
+  const schema = { ...CARD_COMMON, ...card.schema };
+  const options = {};
+  for (const [flag, key] of Object.entries(OPTION_FLAGS)) {
+    if (flags[flag] === undefined || !(key in schema)) continue;
+    const value = flags[flag];
+    options[key] =
+      ["number", "integer", "count"].includes(schema[key]) &&
+      typeof value === "string"
+        ? Number(value)
+        : value;
+  }
+  const colors = {};
+  for (const key of PALETTE_KEYS) {
+    if (flags[`color-${key}`] !== undefined) {
+      colors[key] = String(flags[`color-${key}`]);
+    }
+  }
+  if (Object.keys(colors).length) options.colors = colors;
+  validateCardOptions(options, card, "command line");
+  return options;
+}
+
+// A card's options with the command line's overrides
+function commandOptions(config, card, flags) {
+  const options = cardOptions(config, card);
+  const overrides = flagOptions(card, flags);
+  return {
+    ...options,
+    ...overrides,
+    colors: { ...options.colors, ...overrides.colors },
+  };
+}
+
+// Validate a card's options and resolve its theme
+function prepareCard(card, options, config) {
+  if (options.locale) options.locale = validateLocale(options.locale);
+  if (card.validate) {
+    card.validate(options, {
+      timeZone: validateTimeZone(config.timezone || "UTC"),
+    });
+  }
+  const theme = resolveTheme(options.theme, {
+    file: config.themeFile,
+    themes: config.themes,
+    overrides: options.colors,
+  });
+  return { card, options, theme };
+}
+
+// Run the preview server. Datasets come from --from-dir or --from-json
+// (which serves only the cards of its dataset), or are fetched
+// (from the cache when offline) once per account and kept while it runs.
+function serve(config, flags) {
+  const port = flags.port === undefined ? DEFAULT_PORT : Number(flags.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${flags.port}"`);
+  }
+  const saved = flags["from-dir"] || flags["from-json"];
+  const source = saved ? null : openSource(config, flags, { offline: true });
+  const fetched = new Map();
+
+  // Every year is fetched, and the months `card` charts with `options`
+  function datasetFor(name, logins, card, options) {
+    if (!source) {
+      const data = loadDataset(flags, name);
+      if (data.login !== logins.join(",")) {
+        throw new Error(
+          `${saved} has ${data.login}'s data, not ${logins.join(",")}'s`
+        );
+      }
+      return data;
+    }
+    const months = card.months ? card.months(options) : 0;
+    const key = `${name}/${logins.join(",")}/${months}`;
+    if (!fetched.has(key)) {
+      const scope = months > 0 ? { months } : {};
+      const data = fetchDataset(name, logins, scope, source);
+      // Failures are retried on the next request
+      data.catch(() => fetched.delete(key));
+      fetched.set(key, data);
+    }
+    return fetched.get(key);
+  }
+
+  const server = createPreviewServer({
+    cards: CARDS,
+    prepare: (card, query) =>
+      prepareCard(
+        card,
+        { ...commandOptions(config, card, flags), ...query },
+        config
+      ),
+    render: async ({ card, options, theme }, logins) => {
+      const accounts = logins || defaultLogins(config);
+      const datasets = {};
+      for (const name of datasetNames(card)) {
+        datasets[name] = await datasetFor(name, accounts, card, options);
+      }
+      return card.render(cardData(card, datasets), options, theme);
+    },
+  });
+  server.listen(port, "127.0.0.1", () => {
+    console.log(
+      `Previewing cards at http://localhost:${server.address().port}/`
+    );
+  });
+  return server;
+}
+
+// The JSON summary and shields.io badges of the cards that offer them
+function writeMachineOutputs(builds, datasets, config) {
+  const summaries = {};
+  for (const { card, options, theme } of builds) {
+    if (!card.summary) continue;
+    summaries[card.name] = card.summary(cardData(card, datasets), options);
+    if (config.badges && card.badges) {
+      const names = writeBadges(
+        config.badges,
+        card.badges(summaries[card.name], options),
+        theme.colors.accent
+      );
+      if (names.length) {
+        console.log(`Badges ${names.join(", ")} written to ${config.badges}`);
+      }
+    }
+  }
+  if (config.summary) {
+    const all = Object.values(datasets);
+    const written = writeSummary(
+      config.summary,
+      {
+        login: all[0].login,
+        fetchedAt: all
+          .map((data) => data.fetchedAt)
+          .sort()
+          .pop(),
+        cards: summaries,
+      },
+      selectCards("all", config).map((card) => card.name)
+    );
+    console.log(
+      written
+        ? `Summary written to ${config.summary}`
+        : `${config.summary} unchanged`
+    );
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { positional, flags } = parseArgs(argv, {
+    booleans: ["help", "refresh", "animation"],
+  });
+  if (flags.help || positional.length === 0) {
+    console.log(HELP);
+    return;
+  }
+  checkFlags(flags);
+
+  const config = loadConfig(flags.config || DEFAULT_CONFIG, CARDS, {
+    optional: !flags.config,
+  });
+  commandConfig(config, flags);
+  if (flags["from-dir"] && flags["from-json"]) {
+    throw new Error("Give --from-dir or --from-json, not both");
+  }
+
+  if (positional[0] === "serve") {
+    serve(config, flags);
+    return;
+  }
+
+  const cards = selectCards(positional[0], config);
+  for (const flag of ["mode", "gap-days"]) {
+    const key = OPTION_FLAGS[flag];
+    if (
+      flags[flag] !== undefined &&
+      !cards.some((card) => key in card.schema)
+    ) {
+      throw new Error(`--${flag} applies to none of the cards built`);
+    }
+  }
+  const prepared = cards.map((card) =>
+    prepareCard(card, commandOptions(config, card, flags), config)
+  );
+
+  for (const flag of ["from-json", "dump-json"]) {
+    if (flags[flag]) singleDataset(prepared, flag);
+  }
+  const datasets = await loadDatasets(prepared, config, flags);
+  // Cards missing a dataset are skipped; the run fails once the others are
+  // written
+  const skipped = prepared.filter(({ card }) =>
+    datasetNames(card).some((name) => !datasets[name])
+  );
+  const builds = prepared.filter((build) => !skipped.includes(build));
+  if (flags["dump-json"]) {
+    const data = datasets[singleDataset(prepared, "dump-json")];
+    if (data) {
+      writeDataset(flags["dump-json"], data);
+      console.log(`Dataset written to ${flags["dump-json"]}`);
+    }
+  }
+  if (flags["dump-dir"]) {
+    for (const [name, data] of Object.entries(datasets)) {
+      const file = `${flags["dump-dir"]}/${name}.json`;
+      writeDataset(file, data);
+      console.log(`Dataset written to ${file}`);
+    }
+  }
+
+  const changes = [];
+  const updated = [];
+  for (const { card, options, theme } of builds) {
+    console.log(`Rendering ${card.name} card...`);
+    const data = cardData(card, datasets);
+    const summary = card.summary ? card.summary(data, options) : null;
+    const { written, previous, redrawn } = writeCard(
+      options.output,
+      card.render(data, options, theme),
+      summary,
+      options
+    );
+    if (!written) {
+      console.log(`${options.output} unchanged`);
+      continue;
+    }
+    console.log(`SVG written to ${options.output}`);
+    updated.push(card.name);
+    if (!previous) {
+      changes.push(`add the ${card.name} card`);
+    } else if (redrawn) {
+      // Same data or other options: nothing to compare
+      changes.push(`redraw the ${card.name} card`);
+    } else if (previous.summary && summary && card.changes) {
+      changes.push(...card.changes(previous.summary, summary));
+    }
+  }
+  // Changes too small for the cards to describe still name the cards
+  if (changes.length === 0) {
+    changes.push(...updated.map((name) => `update the ${name} card`));
+  }
+  if (changes.length) {
+    console.log(`Changes:\n  ${changes.join("\n  ")}`);
+  }
+  if (flags.changes) writeOutput(flags.changes, commitMessage(changes));
+
+  if (builds.length && (config.summary || config.badges)) {
+    writeMachineOutputs(builds, datasets, config);
+  }
+
+  const readme =
+    flags.readme === true
+      ? config.readme || "README.md"
+      : flags.readme === false
+        ? null
+        : flags.readme || config.readme;
+  if (readme) {
+    const sections = {};
+    for (const { card, options } of builds) {
+      if (card.markdown) {
+        sections[card.name] = card.markdown(cardData(card, datasets), options);
+      }
+    }
+    const found = updateReadme(readme, sections);
+    console.log(
+      found.length
+        ? `Summaries of ${found.join(", ")} written to ${readme}`
+        : `No card markers found in ${readme}`
+    );
+  }
+
+  if (skipped.length) {
+    throw new Error(
+      `Skipped cards whose data failed to load: ${skipped.map(({ card }) => card.name).join(", ")}`
+    );
+  }
+}
+
+// Run the command line `argv`, exiting with an error message on failure
+function run(argv = process.argv.slice(2)) {
+  main(argv).catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+if (require.main === module) run();
+
+module.exports = { CARDS, DATASETS, main, run };
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  stateFile,
+  writeCard,
+  change,
+  delta,
+  commitMessage,
+} = require("../lib/changes");
+const streak = require("../generate-streak-stats");
+
+// Run `fn(output)` with a card output path in a fresh directory
+function withOutput(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profile-cards-"));
+  try {
+    return fn(path.join(dir, "card.svg"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const SVG = `<svg>
+  <text>12</text>
+</svg>`;
+
+test("a card is written with its state, then only when it changed", () => {
+  withOutput((output) => {
+    const first = writeCard(output, SVG, { total: 12 }, { mode: "daily" });
+    assert.deepEqual(first, { written: true, previous: null, redrawn: false });
+    assert.equal(fs.readFileSync(output, "utf8"), SVG);
+    const state = JSON.parse(fs.readFileSync(stateFile(output), "utf8"));
+    assert.deepEqual(state.summary, { total: 12 });
+    assert.deepEqual(state.options, { mode: "daily" });
+
+    // Whitespace alone is no change
+    const again = writeCard(
+      output,
+      SVG.replace(/\n\s*/g, ""),
+      { total: 12 },
+      { mode: "daily" }
+    );
+    assert.equal(again.written, false);
+  });
+});
+
+test("new data is a change, new options or drawing a redraw", () => {
+  withOutput((output) => {
+    writeCard(output, SVG, { total: 12 }, { mode: "daily", theme: "dark" });
+
+    const data = writeCard(
+      output,
+      SVG.replace("12", "13"),
+      { total: 13 },
+      { theme: "dark", mode: "daily" }
+    );
+    assert.equal(data.written, true);
+    assert.equal(data.redrawn, false);
+    assert.deepEqual(data.previous.summary, { total: 12 });
+
+    // The streak mode changes the numbers, but not the data behind them
+    const mode = writeCard(
+      output,
+      SVG.replace("12", "1"),
+      { total: 1 },
+      { theme: "dark", mode: "weekly" }
+    );
+    assert.equal(mode.written, true);
+    assert.equal(mode.redrawn, true);
+
+    const drawing = writeCard(
+      output,
+      SVG.replace("12", "1").replace("<text>", "<text x='4'>"),
+      { total: 1 },
+      { theme: "dark", mode: "weekly" }
+    );
+    assert.equal(drawing.written, true);
+    assert.equal(drawing.redrawn, true);
+  });
+});
+
+test("states stored without options compare by data", () => {
+  withOutput((output) => {
+    fs.writeFileSync(output, SVG);
+    fs.writeFileSync(
+      stateFile(output),
+      JSON.stringify({ fingerprint: "old", summary: { total: 12 } })
+    );
+    const result = writeCard(output, SVG, { total: 13 }, { mode: "daily" });
+    assert.equal(result.written, true);
+    assert.equal(result.redrawn, false);
+  });
+});
+
+test("changes and deltas describe numbers that moved", () => {
+  assert.equal(change("current streak", 12, 13), "current streak 12 → 13");
+  assert.equal(change("longest streak", 40, 40), null);
+  assert.equal(delta("contributions", 1000, 1004), "+4 contributions");
+  assert.equal(delta("contributions", 1234, 1000), "-234 contributions");
+  assert.equal(delta("contributions", 5, 5), null);
+
+  const before = {
+    totalContributions: 1000,
+    currentStreak: { length: 12 },
+    longestStreak: { length: 40 },
+  };
+  assert.deepEqual(
+    streak.card.changes(before, {
+      ...before,
+      totalContributions: 1003,
+      currentStreak: { length: 13 },
+    }),
+    ["+3 contributions", "current streak 12 → 13"]
+  );
+});
+
+test("commit messages list the changes in the subject when they fit", () => {
+  assert.equal(commitMessage([]), "");
+  assert.equal(
+    commitMessage(["current streak 12 → 13"]),
+    "Update profile cards: current streak 12 → 13\n"
+  );
+  const lines = [
+    "+3 contributions",
+    "current streak 12 → 13",
+    "Rust joins the languages",
+    "redraw the heatmap card",
+  ];
+  assert.equal(
+    commitMessage(lines),
+    `Update profile cards\n\n${lines.map((line) => `- ${line}`).join("\n")}\n`
+  );
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { filterRepos } = require("../generate-contributor-stats");
+
+function repo(nameWithOwner, fields = {}) {
+  return {
+    nameWithOwner,
+    url: `https://github.com/${nameWithOwner}`,
+    stars: 10,
+    isPrivate: false,
+    isFork: false,
+    isArchived: false,
+    ...fields,
+  };
+}
+
+const REPOS = [
+  repo("InsightSoftwareConsortium/ITK", { stars: 1500 }),
+  repo("thewtex/thewtex"),
+  repo("thewtex/dotfiles", { isFork: true }),
+  repo("kitware/old-tool", { isArchived: true, stars: 3 }),
+  repo("private/R_kgDOH1x2yQ", { isPrivate: true, url: null }),
+];
+
+const names = (repos) => repos.map((r) => r.nameWithOwner);
+
+test("private repositories are dropped unless shown anonymised", () => {
+  assert.deepEqual(names(filterRepos(REPOS, ["thewtex"])), [
+    "InsightSoftwareConsortium/ITK",
+    "thewtex/thewtex",
+    "thewtex/dotfiles",
+    "kitware/old-tool",
+  ]);
+  const shown = filterRepos(REPOS, ["thewtex"], { showPrivate: true });
+  assert.equal(shown.length, 5);
+  assert.deepEqual(shown[4], {
+    ...REPOS[4],
+    nameWithOwner: "private repo",
+    url: null,
+  });
+});
+
+test("include and exclude globs match full names or owners", () => {
+  assert.deepEqual(
+    names(filterRepos(REPOS, ["thewtex"], { include: ["thewtex"] })),
+    ["thewtex/thewtex", "thewtex/dotfiles"]
+  );
+  assert.deepEqual(
+    names(
+      filterRepos(REPOS, ["thewtex"], {
+        exclude: ["*/dotfiles", "kitware"],
+        showPrivate: true,
+      })
+    ),
+    ["InsightSoftwareConsortium/ITK", "thewtex/thewtex", "private repo"]
+  );
+});
+
+test("forks, archived, profile and little-starred repositories", () => {
+  assert.deepEqual(
+    names(
+      filterRepos(REPOS, ["thewtex"], {
+        excludeForks: true,
+        excludeArchived: true,
+        excludeProfileRepo: true,
+      })
+    ),
+    ["InsightSoftwareConsortium/ITK"]
+  );
+  assert.deepEqual(names(filterRepos(REPOS, ["thewtex"], { minStars: 100 })), [
+    "InsightSoftwareConsortium/ITK",
+  ]);
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { openCache } = require("../lib/cache");
+const { fetchYears, privateName } = require("../lib/dataset");
+
+test("private repositories are keyed by node id, not by name", () => {
+  const repository = {
+    id: "R_kgDOH1x2yQ",
+    nameWithOwner: "thewtex/secret-plans",
+    isPrivate: true,
+  };
+  assert.equal(privateName(repository), "private/R_kgDOH1x2yQ");
+  assert.ok(!privateName(repository).includes("secret"));
+  // Renaming the repository keeps its key
+  assert.equal(
+    privateName({ ...repository, nameWithOwner: "thewtex/renamed" }),
+    privateName(repository)
+  );
+  assert.notEqual(
+    privateName({ ...repository, id: "R_kgDOH1x2yR" }),
+    privateName(repository)
+  );
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A GraphQL client answering fetchYears' queries for an account created in
+// 2014: each window's collection is its { from, to }. `onWindows` sees the
+// windows of each request and may throw to fail it.
+function fakeGraphql({ onWindows = () => {}, delay = 5 } = {}) {
+  const requests = [];
+  let inFlight = 0;
+  const graphql = async (query, variables) => {
+    if (!query.includes("contributionsCollection")) {
+      return { data: { user: { createdAt: "2014-06-01T00:00:00Z" } } };
+    }
+    const windows = [];
+    for (let i = 0; `from${i}` in variables; i++) {
+      windows.push({ from: variables[`from${i}`], to: variables[`to${i}`] });
+    }
+    requests.push(windows);
+    inFlight++;
+    graphql.peak = Math.max(graphql.peak, inFlight);
+    try {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      onWindows(windows);
+      const user = {};
+      windows.forEach((window, i) => (user[`w${i}`] = window));
+      return { data: { user } };
+    } finally {
+      inFlight--;
+    }
+  };
+  graphql.peak = 0;
+  graphql.requests = requests;
+  return graphql;
+}
+
+// fetchYears options counting the days of each window
+const countDays = {
+  card: "test",
+  fromYear: 2015,
+  toYear: 2024,
+  fields: "",
+  parseWindow: (collection) =>
+    (Date.parse(collection.to) - Date.parse(collection.from)) / DAY_MS,
+};
+
+test("years are fetched in batches, a few requests at a time", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const graphql = fakeGraphql();
+  const data = await fetchYears(graphql, "me", openCache(), {
+    ...countDays,
+    batchSize: 2,
+  });
+  assert.equal(Object.keys(data.years).length, 10);
+  assert.equal(data.years[2016], 366);
+  assert.equal(data.years[2017], 365);
+  assert.equal(graphql.requests.length, 5);
+  assert.ok(graphql.requests.every((windows) => windows.length === 2));
+  assert.equal(graphql.peak, 3);
+});
+
+test("windows hitting the cap are split and their halves combined", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const graphql = fakeGraphql();
+  const data = await fetchYears(graphql, "me", openCache(), {
+    ...countDays,
+    fromYear: 2016,
+    toYear: 2017,
+    // 2016's windows are truncated until no longer than 100 days
+    truncated: ({ from, to }) =>
+      from < "2017" && Date.parse(to) - Date.parse(from) > 100 * DAY_MS,
+    combine: ([first, second]) => first + second,
+  });
+  assert.deepEqual(data.years, { 2016: 366, 2017: 365 });
+  const windows = graphql.requests.flat();
+  // 2016 and 2017, 2016's halves, then its quarters
+  assert.equal(windows.length, 8);
+  assert.deepEqual(
+    windows
+      .slice(2, 4)
+      .map(({ from, to }) => [Date.parse(from), Date.parse(to)]),
+    [
+      [Date.UTC(2016, 0, 1), Date.UTC(2016, 6, 2)],
+      [Date.UTC(2016, 6, 2), Date.UTC(2017, 0, 1)],
+    ]
+  );
+  // Split requests share the concurrency bound
+  assert.ok(graphql.peak <= 3);
+});
+
+test("a failed request leaves out only its years", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const warn = t.mock.method(console, "warn", () => {});
+  const graphql = fakeGraphql({
+    onWindows: (windows) => {
+      if (windows.some(({ from }) => from.startsWith("2017"))) {
+        throw new Error("Bad gateway");
+      }
+    },
+  });
+  const data = await fetchYears(graphql, "me", openCache(), {
+    ...countDays,
+    batchSize: 1,
+  });
+  assert.equal(Object.keys(data.years).length, 9);
+  assert.ok(!("2017" in data.years));
+  assert.match(warn.mock.calls[0].arguments[0], /2017: Bad gateway/);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { injectSections, updateReadme } = require("../lib/readme");
+
+const README = `# Hi
+
+<!-- profile-cards:streak:start -->
+old streak
+<!-- profile-cards:streak:end -->
+
+Text in between.
+
+<!-- profile-cards:stats:start --><!-- profile-cards:stats:end -->
+`;
+
+test("sections replace what is between their markers", () => {
+  const { text, found } = injectSections(README, {
+    streak: "**12** day streak",
+    stats: "1,234 commits",
+    trophies: "unused",
+  });
+  assert.deepEqual(found, ["streak", "stats"]);
+  assert.equal(
+    text,
+    `# Hi
+
+<!-- profile-cards:streak:start -->
+**12** day streak
+<!-- profile-cards:streak:end -->
+
+Text in between.
+
+<!-- profile-cards:stats:start -->
+1,234 commits
+<!-- profile-cards:stats:end -->
+`
+  );
+  // Injecting again changes nothing
+  assert.equal(
+    injectSections(text, {
+      streak: "**12** day streak",
+      stats: "1,234 commits",
+    }).text,
+    text
+  );
+});
+
+test("every pair of a card's markers is filled", () => {
+  const pair =
+    "<!-- profile-cards:streak:start -->\n<!-- profile-cards:streak:end -->";
+  const { text } = injectSections(`${pair}\n\n${pair}\n`, { streak: "12" });
+  assert.equal(text.match(/\n12\n/g).length, 2);
+});
+
+test("a start marker without its end is an error", () => {
+  assert.throws(
+    () =>
+      injectSections("<!-- profile-cards:streak:start -->\nold\n", {
+        streak: "new",
+      }),
+    /has no matching <!-- profile-cards:streak:end -->/
+  );
+});
+
+test("the file is written only when a section changed", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profile-cards-"));
+  try {
+    const file = path.join(dir, "README.md");
+    fs.writeFileSync(file, README);
+    assert.deepEqual(updateReadme(file, { streak: "old streak" }), ["streak"]);
+    fs.utimesSync(file, new Date(0), new Date(0));
+    updateReadme(file, { streak: "old streak" });
+    assert.equal(fs.statSync(file).mtimeMs, 0);
+    updateReadme(file, { streak: "new streak" });
+    assert.match(fs.readFileSync(file, "utf8"), /\nnew streak\n/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
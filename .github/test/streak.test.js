@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeStreaks } = require("../generate-streak-stats");
+
+// Consecutive days from `start` with the given contribution counts
+function days(start, counts) {
+  const first = Date.parse(`${start}T00:00:00Z`);
+  return counts.map((count, i) => ({
+    date: new Date(first + i * 86400000).toISOString().slice(0, 10),
+    count,
+  }));
+}
+
+// Noon UTC on `date`
+function noon(date) {
+  return new Date(`${date}T12:00:00Z`);
+}
+
+test("daily streaks count consecutive days with contributions", () => {
+  // 2026-10-01 to 2026-10-10
+  const stats = computeStreaks(
+    days("2026-10-01", [1, 2, 0, 1, 1, 1, 1, 0, 3, 4]),
+    noon("2026-10-10")
+  );
+  assert.equal(stats.totalContributions, 14);
+  assert.equal(stats.currentStreak, 2);
+  assert.equal(stats.currentStreakStart, "2026-10-09");
+  assert.equal(stats.currentStreakEnd, "2026-10-10");
+  assert.equal(stats.longestStreak, 4);
+  assert.equal(stats.longestStreakStart, "2026-10-04");
+  assert.equal(stats.longestStreakEnd, "2026-10-07");
+  assert.equal(stats.firstContribDate, "2026-10-01");
+});
+
+test("an empty today does not break the current streak", () => {
+  const stats = computeStreaks(
+    days("2026-10-01", [1, 1, 1, 0]),
+    noon("2026-10-04")
+  );
+  assert.equal(stats.currentStreak, 3);
+  assert.equal(stats.currentStreakEnd, "2026-10-03");
+});
+
+test("an empty yesterday ends the current streak", () => {
+  const stats = computeStreaks(
+    days("2026-10-01", [1, 1, 0, 0]),
+    noon("2026-10-04")
+  );
+  assert.equal(stats.currentStreak, 0);
+  assert.equal(stats.currentStreakStart, null);
+  assert.equal(stats.longestStreak, 2);
+});
+
+test("gap days let a streak survive empty days in a row", () => {
+  const counts = [1, 0, 1, 0, 0, 1];
+  const now = noon("2026-10-06");
+  const strict = computeStreaks(days("2026-10-01", counts), now);
+  assert.equal(strict.currentStreak, 1);
+
+  const one = computeStreaks(days("2026-10-01", counts), now, "UTC", {
+    gapDays: 1,
+  });
+  assert.equal(one.currentStreak, 1);
+  assert.equal(one.longestStreak, 2);
+  assert.equal(one.longestStreakStart, "2026-10-01");
+
+  const two = computeStreaks(days("2026-10-01", counts), now, "UTC", {
+    gapDays: 2,
+  });
+  // Empty days survived are not counted
+  assert.equal(two.currentStreak, 3);
+  assert.equal(two.currentStreakStart, "2026-10-01");
+  assert.equal(two.currentStreakEnd, "2026-10-06");
+});
+
+test("weekly streaks count ISO weeks with a contribution", () => {
+  // Monday 2026-09-07 to Wednesday 2026-10-07: one contribution in each
+  // week but the third
+  const counts = Array(31).fill(0);
+  for (const i of [2, 9, 29, 30]) counts[i] = 1;
+  const stats = computeStreaks(
+    days("2026-09-07", counts),
+    noon("2026-10-07"),
+    "UTC",
+    { mode: "weekly" }
+  );
+  assert.equal(stats.currentStreak, 1);
+  assert.equal(stats.currentStreakStart, "2026-10-05");
+  assert.equal(stats.longestStreak, 2);
+  assert.equal(stats.longestStreakStart, "2026-09-07");
+  assert.equal(stats.longestStreakEnd, "2026-09-20");
+});
+
+test("weekdays streaks skip weekends", () => {
+  // Thursday 2026-10-08 to Tuesday 2026-10-13, busy over the weekend
+  const busy = computeStreaks(
+    days("2026-10-08", [1, 1, 5, 5, 1, 1]),
+    noon("2026-10-13"),
+    "UTC",
+    { mode: "weekdays" }
+  );
+  assert.equal(busy.currentStreak, 4);
+  assert.equal(busy.currentStreakStart, "2026-10-08");
+  assert.equal(busy.totalContributions, 14);
+
+  const quiet = computeStreaks(
+    days("2026-10-08", [1, 1, 0, 0, 1, 1]),
+    noon("2026-10-13"),
+    "UTC",
+    { mode: "weekdays" }
+  );
+  assert.equal(quiet.currentStreak, 4);
+
+  const daily = computeStreaks(
+    days("2026-10-08", [1, 1, 0, 0, 1, 1]),
+    noon("2026-10-13")
+  );
+  assert.equal(daily.currentStreak, 2);
+});
+
+test("today is the calendar day in the time zone", () => {
+  // 03:00 UTC on 2026-10-05 is still 2026-10-04, the empty today, in
+  // Denver; in UTC 2026-10-04 is over and breaks the streak
+  const now = new Date("2026-10-05T03:00:00Z");
+  const counts = [1, 1, 1, 0];
+  assert.equal(
+    computeStreaks(days("2026-10-01", counts), now, "America/Denver")
+      .currentStreak,
+    3
+  );
+  assert.equal(
+    computeStreaks(days("2026-10-01", counts), now).currentStreak,
+    0
+  );
+});